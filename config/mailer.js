@@ -0,0 +1,31 @@
+// config/mailer.js
+// Shared Gmail transporter for auth emails (OTP, invites, password resets).
+import nodemailer from 'nodemailer';
+
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.GMAIL_USER,
+    pass: process.env.GMAIL_PASS,
+  },
+});
+
+transporter.verify((err) => {
+  if (err) {
+    console.error('❌ Email transporter error:', err.message);
+  } else {
+    console.log('✅ Email transporter ready');
+  }
+});
+
+// Base URL of the admin app, used to build links in emails
+export const ADMIN_APP_URL = (
+  process.env.ADMIN_ORIGIN || 'http://localhost:3001'
+).replace(/\/+$/, '');
+
+// Base URL of the public website, used for links sent to visitors
+export const PUBLIC_SITE_URL = (
+  process.env.FRONTEND_ORIGIN || 'https://nexoracrew.com'
+).replace(/\/+$/, '');
+
+export default transporter;
@@ -0,0 +1,63 @@
+// config/notifications.js
+// Notification events, the defaults used until an admin configures routing rules,
+// and how the outbox retries.
+
+// Events admins can route (GET/PUT /api/notifications/rules/:event)
+export const NOTIFICATION_EVENTS = {
+  'message.received': 'New contact message',
+  'schedule.requested': 'New meeting request',
+  'schedule.cancelled': 'Meeting cancelled',
+  'schedule.rescheduled': 'Meeting moved by the requester',
+  'certificate.issued': 'Certificate issued',
+};
+
+// Fallback for events without a routing rule in the database: these channels,
+// addressed to adminRecipient(). Acknowledgements always go to the submitter.
+export const EVENT_CHANNELS = {
+  'message.received': ['email', 'whatsapp', 'webhook'],
+  'schedule.requested': ['email', 'whatsapp', 'webhook'],
+  'schedule.cancelled': ['email', 'webhook'],
+  'schedule.rescheduled': ['email', 'webhook'],
+  'certificate.issued': ['email', 'webhook'],
+
+  // Sent to the submitter, see ACKNOWLEDGEMENT_FORMS
+  'message.acknowledgement': ['email'],
+  'schedule.acknowledgement': ['email'],
+
+  // Sent to the requester on each status change; confirmation and cancellation
+  // carry the .ics invite / cancellation
+  'schedule.confirmation': ['email'],
+  'schedule.cancellation': ['email'],
+  'schedule.completed': ['email'],
+  'schedule.no_show': ['email'],
+};
+
+/** The team inbox / phone / webhook that admin notifications go to when no rule is configured. */
+export const adminRecipient = () => ({
+  email: process.env.ADMIN_NOTIFY_EMAIL || process.env.GMAIL_USER,
+  phone: process.env.ADMIN_PHONE_NUMBER,
+  webhookUrl: process.env.NOTIFY_WEBHOOK_URL,
+});
+
+// Quiet hours hold back these channels by default; email and webhooks don't wake anyone up
+export const DEFAULT_QUIET_CHANNELS = ['sms', 'whatsapp'];
+
+// Confirmation emails to whoever filled in a form. Off unless enabled per form:
+//   ACK_CONTACT_FORM=true   -> POST /api/messages
+//   ACK_SCHEDULE_FORM=true  -> POST /api/schedule
+const ACKNOWLEDGEMENT_FORMS = {
+  message: 'ACK_CONTACT_FORM',
+  schedule: 'ACK_SCHEDULE_FORM',
+};
+
+export const acknowledgementEnabled = (form) =>
+  String(process.env[ACKNOWLEDGEMENT_FORMS[form]]).toLowerCase() === 'true';
+
+// Retries back off exponentially: 30s, 1m, 2m, 4m ... capped at 1h
+export const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 6;
+export const RETRY_BASE_DELAY_MS = 30 * 1000;
+export const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// How often the worker polls the outbox, and how long it may hold an entry while sending
+export const WORKER_INTERVAL_MS = Number(process.env.NOTIFY_WORKER_INTERVAL_MS) || 15 * 1000;
+export const SEND_LOCK_MS = 2 * 60 * 1000;
@@ -0,0 +1,79 @@
+// config/roles.js
+// Admin roles and the permissions each one grants.
+// Permissions are "<resource>:<action>" strings; '*' grants everything.
+
+export const ROLES = ['super-admin', 'editor', 'moderator', 'viewer'];
+
+// Tokens and user documents created before RBAC carry the single 'admin' role.
+// They keep full access until scripts/migrate-user-roles.js has been run.
+export const LEGACY_ROLE_ALIASES = {
+  admin: 'super-admin',
+};
+
+export const ROLE_PERMISSIONS = {
+  'super-admin': ['*'],
+
+  // Site content: can publish and edit, but not touch the inbox or remove certificates
+  editor: [
+    'content:read', 'content:write',
+    'posts:write', 'projects:write', 'tags:write',
+    'stories:write', 'partners:write', 'milestones:write',
+    'certificates:read', 'certificates:write',
+  ],
+
+  // Inbox, meetings, contacts and certificate administration
+  moderator: [
+    'content:read',
+    'messages:read', 'messages:write', 'messages:delete',
+    'schedule:read', 'schedule:write', 'schedule:delete',
+    'contacts:read', 'contacts:write',
+    'certificates:read', 'certificates:write', 'certificates:delete',
+  ],
+
+  // Read-only access to the admin panel
+  viewer: [
+    'content:read',
+    'messages:read',
+    'schedule:read',
+    'contacts:read',
+    'certificates:read',
+  ],
+};
+
+// Every permission the routes check. API key scopes are picked from this list.
+export const PERMISSIONS = [
+  'content:read', 'content:write',
+  'posts:write', 'projects:write', 'tags:write',
+  'stories:write', 'partners:write', 'milestones:write',
+  'certificates:read', 'certificates:write', 'certificates:delete',
+  'messages:read', 'messages:write', 'messages:delete',
+  'schedule:read', 'schedule:write', 'schedule:delete',
+  'contacts:read', 'contacts:write',
+  'users:read', 'users:write',
+  'apikeys:read', 'apikeys:write',
+  'audit:read',
+  'notifications:read', 'notifications:write',
+  'webhooks:read', 'webhooks:write',
+];
+
+// Account, key and webhook administration stays with humans
+const HUMAN_ONLY_RESOURCES = ['users', 'apikeys', 'webhooks'];
+export const API_KEY_SCOPES = PERMISSIONS.filter((p) => !HUMAN_ONLY_RESOURCES.includes(p.split(':')[0]));
+
+/** Does a list of granted permissions/scopes cover `permission`? Understands '*' and '<resource>:*'. */
+export const grants = (granted = [], permission) => {
+  if (granted.includes('*') || granted.includes(permission)) return true;
+
+  const [resource] = String(permission).split(':');
+  return granted.includes(`${resource}:*`);
+};
+
+/** Map a stored/legacy role onto one of ROLES (or null if unknown). */
+export const resolveRole = (role) => {
+  const resolved = LEGACY_ROLE_ALIASES[role] || role;
+  return ROLES.includes(resolved) ? resolved : null;
+};
+
+/** Does `role` grant `permission`? */
+export const hasPermission = (role, permission) =>
+  grants(ROLE_PERMISSIONS[resolveRole(role)], permission);
@@ -0,0 +1,18 @@
+// config/webauthn.js
+// Relying-party settings for passkey (WebAuthn) login.
+// WEBAUTHN_RP_ID must be the admin app's host name (no scheme/port), and
+// WEBAUTHN_ORIGINS the exact origin(s) the admin app is served from.
+
+export const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'NEXORA Admin';
+
+export const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+
+export const EXPECTED_ORIGINS = (
+  process.env.WEBAUTHN_ORIGINS || process.env.ADMIN_ORIGIN || 'http://localhost:3001'
+)
+  .split(',')
+  .map((o) => o.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// How long a registration/login challenge stays valid
+export const CHALLENGE_TTL_MS = 5 * 60 * 1000;
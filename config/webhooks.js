@@ -0,0 +1,26 @@
+// config/webhooks.js
+// Events outgoing webhook subscriptions can listen to, and how deliveries are signed and retried.
+
+export const WEBHOOK_EVENTS = {
+  'message.created': 'A visitor sent the contact form',
+  'schedule.status_changed': 'A meeting request changed status',
+  'project.created': 'A project was added',
+  'certificate.issued': 'A certificate was uploaded',
+  'post.published': 'A blog post was published',
+};
+
+// Sent by POST /api/webhooks/:id/test; every subscription receives it regardless of its events
+export const PING_EVENT = 'webhook.ping';
+
+// Header names on every delivery. The signature is
+//   X-Nexora-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the subscription secret>
+// Receivers should recompute it and reject timestamps older than a few minutes.
+export const SIGNATURE_HEADER = 'X-Nexora-Signature';
+export const EVENT_HEADER = 'X-Nexora-Event';
+export const DELIVERY_HEADER = 'X-Nexora-Delivery';
+
+export const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Only this much of the receiver's response body is kept in the delivery log
+export const RESPONSE_BODY_LIMIT = 2000;
@@ -1,7 +1,14 @@
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import { resolveRole, hasPermission, grants } from '../config/roles.js';
+import { hashToken } from '../utils/tokens.js';
+
+// Only write lastSeenAt/lastUsedAt once a minute per session or key
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
 
 // This function is our "bouncer"
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
     // 1. Get token from the header
     const token = req.header('x-auth-token');
 
@@ -12,22 +19,90 @@ const auth = (req, res, next) => {
     }
 
     // 3. Verify token
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        // This catches an expired or invalid token
+        return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    // 4. Tokens are bound to a session; revoked or expired sessions are rejected
+    const sid = decoded.user?.sid;
+    if (!sid) {
+        return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // 4. Check if the user is an admin (optional, but good practice)
-        if (decoded.user.role !== 'admin') {
+        const session = await Session.findById(sid).populate('user', 'email role');
+        if (!session || !session.isActive() || !session.user) {
+            return res.status(401).json({ message: 'Session has been revoked' });
+        }
+
+        // 5. Check the user still holds a known admin role (read fresh, so role changes apply immediately)
+        const role = resolveRole(session.user.role);
+        if (!role) {
             return res.status(403).json({ message: 'Forbidden: Not an admin' });
         }
-        
-        // 5. If all good, add the user data to the request object
-        req.user = decoded.user;
+
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+            await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ip: req.ip } });
+        }
+
+        // 6. If all good, add the user data to the request object
+        req.user = { id: String(session.user._id), email: session.user.email, role, sid: String(session._id) };
         next(); // Move on to the next function
 
     } catch (err) {
-        // This catches an expired or invalid token
-        res.status(401).json({ message: 'Token is not valid' });
+        console.error('AUTH SESSION CHECK ERROR:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Machine clients: "x-api-key: nxk_<prefix>_<secret>" (see routes/apiKeyRoutes.js)
+const apiKeyAuth = async (req, res, next) => {
+    const rawKey = req.header('x-api-key');
+    const [, prefix] = String(rawKey).split('_');
+
+    try {
+        const key = prefix ? await ApiKey.findOne({ prefix }) : null;
+        if (!key || key.keyHash !== hashToken(rawKey) || !key.isActive()) {
+            return res.status(401).json({ message: 'API key is not valid' });
+        }
+
+        if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+            await ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+        }
+
+        req.user = null;
+        req.apiKey = { id: String(key._id), name: key.name, scopes: key.scopes };
+        next();
+
+    } catch (err) {
+        console.error('API KEY CHECK ERROR:', err.message);
+        res.status(500).json({ message: 'Server error' });
     }
 };
 
-export default auth;
\ No newline at end of file
+// Per-route guard: runs `auth` (or the API key check), then checks the role or
+// key scopes grant `permission`
+// e.g. router.delete('/:id', requirePermission('certificates:delete'), handler)
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!req.header('x-auth-token') && req.header('x-api-key')) {
+        return apiKeyAuth(req, res, () => {
+            if (!grants(req.apiKey.scopes, permission)) {
+                return res.status(403).json({ message: `Forbidden: API key lacks scope '${permission}'` });
+            }
+            next();
+        });
+    }
+
+    auth(req, res, () => {
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ message: `Forbidden: missing permission '${permission}'` });
+        }
+        next();
+    });
+};
+
+export default auth;
@@ -0,0 +1,56 @@
+import { rateLimit } from 'express-rate-limit';
+
+// Coarse per-IP throttles in front of the auth endpoints.
+// Per-account lockouts live in utils/loginAttempts.js.
+
+const limitMessage = (message) => ({ message });
+
+// Password + second-factor endpoints
+export const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 30,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: limitMessage('Too many login attempts, please try again later'),
+});
+
+// Anything that sends an email (OTP resend, password reset)
+export const emailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 10,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: limitMessage('Too many email requests, please try again later'),
+});
+
+// Self-service links sent to visitors (e.g. managing a meeting booking)
+export const publicLinkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 30,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    message: limitMessage('Too many requests, please try again later'),
+});
+
+// Public form submissions (contact form, meeting requests), per IP and per email.
+// Each form gets its own counters.
+export const formLimiters = (form, { perIp = 5, perEmail = 3, windowMinutes = 60 } = {}) => [
+    rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        limit: perIp,
+        standardHeaders: 'draft-8',
+        legacyHeaders: false,
+        identifier: `${form}-ip`,
+        message: limitMessage('Too many submissions from this network, please try again later'),
+    }),
+    rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        limit: perEmail,
+        standardHeaders: 'draft-8',
+        legacyHeaders: false,
+        identifier: `${form}-email`,
+        skip: (req) => !req.body?.email,
+        keyGenerator: (req) => `${form}:${String(req.body.email).toLowerCase().trim()}`,
+        message: limitMessage('Too many submissions for this email address, please try again later'),
+    }),
+];
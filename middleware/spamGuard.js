@@ -0,0 +1,50 @@
+import { formLimiters } from './rateLimit.js';
+import { verifyCaptcha } from '../services/captcha.js';
+import { checkSubmission } from '../utils/spamHeuristics.js';
+
+// Hidden field on the public forms; humans never fill it in
+export const HONEYPOT_FIELD = 'website';
+
+/**
+ * Layered protection for a public form route:
+ *   1. honeypot        -> pretend success, store nothing
+ *   2. per-IP/per-email submission limits
+ *   3. captcha hook    -> 400 when the token is rejected (CAPTCHA_PROVIDER)
+ *   4. content checks  -> sets req.spamCheck = { flagged, reasons }; the route
+ *                         stores flagged submissions as spam and skips notifications
+ *
+ * form:         'message' | 'schedule' (separate rate-limit counters)
+ * textFields:   body fields inspected by the heuristics
+ * fakeSuccess:  body returned to bots that trip the honeypot
+ */
+export const spamGuard = ({ form, textFields, fakeSuccess }) => [
+    (req, res, next) => {
+        if (req.body?.[HONEYPOT_FIELD]) {
+            console.warn(`🍯 [Spam] Honeypot tripped on ${form} form from ${req.ip}`);
+            return res.status(201).json(fakeSuccess);
+        }
+        next();
+    },
+
+    ...formLimiters(form),
+
+    async (req, res, next) => {
+        try {
+            const ok = await verifyCaptcha(req.body?.captchaToken, { ip: req.ip });
+            if (!ok) return res.status(400).json({ message: 'Captcha verification failed' });
+            next();
+        } catch (err) {
+            console.error(`❌ [Captcha] ${err.message}`);
+            return res.status(503).json({ message: 'Captcha verification is unavailable, please try again' });
+        }
+    },
+
+    (req, _res, next) => {
+        const text = textFields.map((f) => req.body?.[f]).filter(Boolean).join('\n');
+        req.spamCheck = checkSubmission({ email: req.body?.email, text });
+        if (req.spamCheck.flagged) {
+            console.warn(`🚫 [Spam] ${form} from ${req.ip} flagged: ${req.spamCheck.reasons.join('; ')}`);
+        }
+        next();
+    },
+];
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Machine-client credential (build scripts, prerender). The key itself is shown
+// once at creation; only its SHA-256 hash and a short lookup prefix are stored.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+  },
+
+  scopes: {
+    type: [String],
+    default: [],
+  },
+
+  expiresAt: Date, // null = never expires
+  lastUsedAt: Date,
+  lastUsedIp: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  revokedAt: Date,
+}, { timestamps: true });
+
+ApiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export default mongoose.model('ApiKey', ApiKeySchema);
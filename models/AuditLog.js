@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// One entry per create/update/delete, written by models/plugins/auditTrail.js
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true,
+  },
+
+  entityType: {
+    type: String,
+    required: true,
+  },
+
+  entityId: {
+    type: String,
+    required: true,
+  },
+
+  // Who did it: an admin user, an API key, an anonymous public form, or a script
+  actor: {
+    type: { type: String, enum: ['user', 'api-key', 'public', 'system'], required: true },
+    id: String,
+    email: String,
+    name: String,
+    role: String,
+  },
+
+  ip: String,
+  method: String,
+  path: String,
+
+  // { field: { from, to } } for every top-level field that changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+
+// Booking rules for the public meeting form. There is a single document
+// (key 'default'); until an admin saves one, DEFAULT_AVAILABILITY applies.
+export const DEFAULT_AVAILABILITY = {
+  timeZone: process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata',
+  // Monday to Friday, 09:00-18:00
+  workingHours: [1, 2, 3, 4, 5].map((day) => ({ day, start: '09:00', end: '18:00' })),
+  slotMinutes: 30,
+  bufferMinutes: 15,
+  minNoticeMinutes: 120,
+  maxAdvanceDays: 60,
+  blackoutDates: [],
+};
+
+const WorkingHoursSchema = new mongoose.Schema({
+  day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+  start: { type: String, required: true },                // "09:00"
+  end: { type: String, required: true },                  // "18:00"
+}, { _id: false });
+
+const BlackoutSchema = new mongoose.Schema({
+  date: { type: String, required: true }, // "2024-12-25", in the business time zone
+  reason: String,
+}, { _id: false });
+
+const AvailabilitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+
+  // Working hours and blackout dates are wall-clock times in this zone
+  timeZone: {
+    type: String,
+    default: DEFAULT_AVAILABILITY.timeZone,
+  },
+
+  workingHours: {
+    type: [WorkingHoursSchema],
+    default: () => DEFAULT_AVAILABILITY.workingHours,
+  },
+
+  slotMinutes: {
+    type: Number,
+    default: DEFAULT_AVAILABILITY.slotMinutes,
+  },
+
+  // Kept free before and after every confirmed meeting
+  bufferMinutes: {
+    type: Number,
+    default: DEFAULT_AVAILABILITY.bufferMinutes,
+  },
+
+  // Earliest bookable slot is this far from now; the latest is maxAdvanceDays ahead
+  minNoticeMinutes: {
+    type: Number,
+    default: DEFAULT_AVAILABILITY.minNoticeMinutes,
+  },
+  maxAdvanceDays: {
+    type: Number,
+    default: DEFAULT_AVAILABILITY.maxAdvanceDays,
+  },
+
+  blackoutDates: {
+    type: [BlackoutSchema],
+    default: [],
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+AvailabilitySettingsSchema.plugin(auditTrail, { entityType: 'availability' });
+
+export default mongoose.model('AvailabilitySettings', AvailabilitySettingsSchema);
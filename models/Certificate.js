@@ -1,5 +1,6 @@
 // models/Certificate.js
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const CertificateSchema = new mongoose.Schema({
   certificateID: { type: String, required: true, unique: true, trim: true, uppercase: true },
@@ -10,4 +11,6 @@ const CertificateSchema = new mongoose.Schema({
   issueDate: { type: Date, default: Date.now },
 }, { timestamps: true });
 
+CertificateSchema.plugin(auditTrail, { entityType: 'certificate' });
+
 export default mongoose.model('Certificate', CertificateSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+
+// Lifecycle order matters: merging keeps the furthest stage of the two contacts
+export const CONTACT_STAGES = ['lead', 'qualified', 'client'];
+
+// One person across contact messages and meeting requests. Created/updated by
+// services/contacts.js whenever a form is submitted, matched on any known
+// email (lowercased) or phone (E.164). Their messages and meetings point back
+// here via `contact`, which is what the timeline is built from.
+const ContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+  },
+
+  // Primary address / number, plus every one we have seen for this person
+  email: String,
+  emails: {
+    type: [String],
+    default: [],
+  },
+  phone: String,
+  phones: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+
+  // From the meeting form (latest submission wins)
+  companyName: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    trim: true,
+  },
+
+  stage: {
+    type: String,
+    enum: CONTACT_STAGES,
+    default: 'lead',
+    index: true,
+  },
+
+  tags: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+
+  messageCount: {
+    type: Number,
+    default: 0,
+  },
+  meetingCount: {
+    type: Number,
+    default: 0,
+  },
+
+  firstSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastInteractionAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, { timestamps: true });
+
+// An address belongs to one contact only, so two submissions from the same person
+// at the same moment cannot create two contacts (see services/contacts.js matchContact).
+// Existing duplicates must be merged before this index can be built.
+ContactSchema.index({ emails: 1 }, { unique: true, partialFilterExpression: { emails: { $type: 'string' } } });
+
+ContactSchema.plugin(auditTrail, { entityType: 'contact' });
+
+export default mongoose.model('Contact', ContactSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../config/roles.js';
+
+// Pending admin invitation. The emailed token is single-use and only its hash is stored.
+const InviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: Date,
+  lastSentAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+InviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+export default mongoose.model('Invite', InviteSchema);
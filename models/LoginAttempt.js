@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Failed login/2FA attempts, one document per email and one per IP.
+// Repeated failures lock the key for progressively longer periods.
+const LoginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true, // "email:<address>" or "ip:<address>"
+  },
+
+  kind: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true,
+  },
+
+  value: {
+    type: String,
+    required: true,
+  },
+
+  failures: {
+    type: Number,
+    default: 0,
+  },
+
+  // How many times this key has been locked; drives the lock length
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+
+  lockedUntil: Date,
+  lastFailureAt: Date,
+  lastFailureReason: String,
+}, { timestamps: true });
+
+// Forget keys that have been quiet for a day
+LoginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+
+export const MESSAGE_STATUSES = ['new', 'in-progress', 'awaiting-reply', 'replied', 'closed', 'spam'];
+export const MESSAGE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Statuses that still need someone's attention ('replied' waits on the sender)
+export const OPEN_MESSAGE_STATUSES = ['new', 'in-progress', 'awaiting-reply'];
+
+const NoteSchema = new mongoose.Schema({
+    body: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    authorEmail: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One email in the conversation with the sender (replies we sent from the API)
+const ThreadEntrySchema = new mongoose.Schema({
+    direction: {
+        type: String,
+        enum: ['inbound', 'outbound'],
+        required: true
+    },
+    from: String,
+    to: String,
+    subject: String,
+    body: {
+        type: String,
+        required: true
+    },
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    sentByEmail: String,
+    emailMessageId: String, // SMTP Message-ID, used for In-Reply-To threading
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const MessageSchema = new mongoose.Schema({
     name: {
@@ -22,11 +72,65 @@ const MessageSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+
+    // Inbox workflow
+    status: {
+        type: String,
+        enum: MESSAGE_STATUSES,
+        default: 'new',
+        index: true
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    priority: {
+        type: String,
+        enum: MESSAGE_PRIORITIES,
+        default: 'normal'
+    },
+    labels: {
+        type: [String],
+        default: []
+    },
+    // Why the spam filter diverted this submission (status 'spam')
+    spamReasons: {
+        type: [String],
+        default: undefined
+    },
+    // Internal notes, never shown to the sender
+    notes: [NoteSchema],
+    // Replies sent to the sender; the original message is the first entry of toThread()
+    thread: [ThreadEntrySchema],
+    repliedAt: Date,
+    // The CRM contact this submission was matched to (see services/contacts.js)
+    contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+        index: true
+    },
     date: {
         type: Date,
         default: Date.now
     }
 });
 
+// Full conversation, oldest first, starting with the form submission itself
+MessageSchema.methods.toThread = function () {
+    const original = {
+        _id: this._id,
+        direction: 'inbound',
+        from: this.email,
+        body: this.message,
+        sentAt: this.date
+    };
+    const replies = (this.thread || []).map((entry) => entry.toObject());
+    return [original, ...replies].sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+};
+
+MessageSchema.plugin(auditTrail, { entityType: 'message' });
+
 // This will create a collection named 'messages' in your database
 export default mongoose.model('message', MessageSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/Milestone.js (ESM - Updated with 'key' field)
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const MilestoneSchema = new mongoose.Schema({
     // NEW: Key field is required, unique, and indexed for fast lookup
@@ -21,5 +22,7 @@ const MilestoneSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+MilestoneSchema.plugin(auditTrail, { entityType: 'milestone' });
+
 const Milestone = mongoose.model('Milestone', MilestoneSchema);
 export default Milestone;
\ No newline at end of file
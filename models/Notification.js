@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Outbox entry: one rendered notification for one channel + recipient.
+// Routes only insert these; services/notifications/worker.js delivers them
+// and retries with backoff until maxAttempts, after which they stay 'failed'
+// until an admin resends them.
+const AttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  ok: Boolean,
+  error: String,
+  providerId: String,
+}, { _id: false });
+
+const NotificationSchema = new mongoose.Schema({
+  // e.g. 'message.received', 'schedule.requested'
+  event: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  channel: {
+    type: String,
+    required: true,
+  },
+
+  to: {
+    type: String,
+    required: true,
+  },
+
+  // What the channel's send() receives besides `to`: { subject, text, html, replyTo, fromName, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  // The document that triggered it, e.g. { entityType: 'message', entityId }
+  entityType: String,
+  entityId: mongoose.Schema.Types.ObjectId,
+
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'pending',
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 6,
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // A worker holds 'sending' entries until this time; after it they are picked up again
+  lockedUntil: Date,
+
+  lastError: String,
+  providerId: String,
+  sentAt: Date,
+
+  history: {
+    type: [AttemptSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+// The worker's "what is due?" query
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ entityType: 1, entityId: 1 });
+
+// Delivered notifications are kept for 30 days
+NotificationSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+);
+
+export default mongoose.model('Notification', NotificationSchema);
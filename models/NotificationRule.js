@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+import { NOTIFICATION_EVENTS } from '../config/notifications.js';
+
+// Who gets notified about one event type, managed from the admin panel.
+// Events without a rule fall back to EVENT_CHANNELS + adminRecipient() in
+// config/notifications.js.
+const QuietHoursSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  start: String, // "22:00"
+  end: String,   // "07:00" (may be on the next day)
+  timeZone: {
+    type: String,
+    default: 'UTC',
+  },
+  // Held back until the quiet period ends; other channels go out immediately
+  channels: {
+    type: [String],
+    default: undefined,
+  },
+}, { _id: false });
+
+const NotificationRuleSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_EVENTS),
+    required: true,
+    unique: true,
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+
+  emails: { type: [String], default: [] },
+  smsNumbers: { type: [String], default: [] },
+  whatsappNumbers: { type: [String], default: [] },
+  webhookUrls: { type: [String], default: [] },
+
+  quietHours: {
+    type: QuietHoursSchema,
+    default: () => ({}),
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+NotificationRuleSchema.plugin(auditTrail, { entityType: 'notification-rule' });
+
+export default mongoose.model('NotificationRule', NotificationRuleSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const partnerSchema = new mongoose.Schema({
   name: {
@@ -19,4 +20,6 @@ const partnerSchema = new mongoose.Schema({
   }
 });
 
+partnerSchema.plugin(auditTrail, { entityType: 'partner' });
+
 export default mongoose.model('Partner', partnerSchema);
\ No newline at end of file
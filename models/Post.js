@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const PostSchema = new mongoose.Schema({
     title: {
@@ -26,4 +27,6 @@ const PostSchema = new mongoose.Schema({
     }
 });
 
+PostSchema.plugin(auditTrail, { entityType: 'post' });
+
 export default mongoose.model('post', PostSchema);
\ No newline at end of file
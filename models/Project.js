@@ -1,5 +1,6 @@
 // backend/models/Project.js
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
 
 /**
  * Project model
@@ -111,6 +112,8 @@ ProjectSchema.pre("validate", async function (next) {
   }
 }());
 
+ProjectSchema.plugin(auditTrail, { entityType: "project" });
+
 // Prevent model recompilation in dev/hot-reload
 const Project = mongoose.models.Project || mongoose.model("Project", ProjectSchema);
 export default Project;
@@ -1,4 +1,42 @@
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+
+export const SCHEDULE_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'];
+
+// Allowed status changes; cancelled, completed and no-show are final
+export const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['cancelled', 'completed', 'no-show'],
+    cancelled: [],
+    completed: [],
+    'no-show': []
+};
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// One entry per status change or reschedule, oldest first
+const HistorySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['status', 'rescheduled'],
+        required: true
+    },
+    from: String, // status, or the ISO start time for a reschedule
+    to: String,
+    reason: String,
+    // Same shape as AuditLog.actor (see utils/audit.js actorFrom)
+    actor: {
+        type: { type: String, enum: ['user', 'api-key', 'public', 'system'] },
+        id: String,
+        email: String,
+        name: String,
+        role: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const ScheduleSchema = new mongoose.Schema({
     name: {
@@ -29,23 +67,68 @@ const ScheduleSchema = new mongoose.Schema({
     message: {
         type: String
     },
-    meetingDate: {
+    // When the meeting starts, in UTC: the single source of truth for its time.
+    // Shown in timeZone to the requester and in the admin's zone to the team
+    // (see services/meetingTimes.js).
+    startsAt: {
         type: Date,
-        required: true
+        required: true,
+        index: true
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: 5,
+        max: 480
     },
-    meetingTime: {
-        type: String, // Storing time as a string (e.g., "14:30")
+    // The requester's IANA time zone, e.g. "Europe/Berlin"
+    timeZone: {
+        type: String,
         required: true
     },
+    // iCalendar SEQUENCE: bumped whenever an invite or cancellation is sent, so
+    // calendar apps apply the latest one (see services/meetingCalendar.js)
+    calendarSequence: {
+        type: Number,
+        default: 0
+    },
+    // Bumped whenever the meeting is moved: manage links carry it, so links
+    // sent before a move stop working (see services/meetingManage.js)
+    manageVersion: {
+        type: Number,
+        default: 0
+    },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'cancelled'],
+        enum: SCHEDULE_STATUSES,
         default: 'pending'
     },
+    // Diverted by the spam filter: hidden from the admin list, no notifications sent
+    spam: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    spamReasons: {
+        type: [String],
+        default: undefined
+    },
+    // The CRM contact this request was matched to (see services/contacts.js)
+    contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+        index: true
+    },
+    history: {
+        type: [HistorySchema],
+        default: []
+    },
     dateSubmitted: {
         type: Date,
         default: Date.now
     }
 });
 
+ScheduleSchema.plugin(auditTrail, { entityType: 'schedule' });
+
 export default mongoose.model('schedule', ScheduleSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const ServiceSchema = new mongoose.Schema({
     icon: {
@@ -15,5 +16,7 @@ const ServiceSchema = new mongoose.Schema({
     }
 });
 
+ServiceSchema.plugin(auditTrail, { entityType: 'service' });
+
 // This will create a collection named 'services' in your database
 export default mongoose.model('service', ServiceSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// One logged-in device/browser. The refresh token rotates on every use;
+// only hashes are stored.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  // The token this one replaced — presenting it again means it was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    index: true,
+  },
+
+  ip: String,
+  userAgent: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+// Let Mongo clean up sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', SessionSchema);
@@ -1,5 +1,6 @@
 // models/Story.js
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
 
 const StorySchema = new mongoose.Schema({
   quote: {
@@ -23,5 +24,7 @@ const StorySchema = new mongoose.Schema({
   },
 });
 
+StorySchema.plugin(auditTrail, { entityType: "story" });
+
 const Story = mongoose.model("Story", StorySchema);
 export default Story;
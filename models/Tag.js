@@ -1,5 +1,6 @@
 // backend/models/Tag.js (FIXED: Duplicate Index Removed)
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 const TagSchema = new mongoose.Schema({
   name: { 
@@ -22,4 +23,6 @@ const TagSchema = new mongoose.Schema({
 // TagSchema.index({ slug: 1 }); 
 // Because 'unique: true' on the field already implies an index.
 
+TagSchema.plugin(auditTrail, { entityType: 'tag' });
+
 export default mongoose.model('Tag', TagSchema);
\ No newline at end of file
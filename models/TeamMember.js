@@ -1,5 +1,6 @@
 // models/TeamMember.js
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 /* ---------- Subdocument: Social link ---------- */
 const SocialSchema = new mongoose.Schema(
@@ -35,5 +36,7 @@ const TeamMemberSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+TeamMemberSchema.plugin(auditTrail, { entityType: 'team-member' });
+
 // Check if model exists before compiling to avoid hot-reload errors
 export default mongoose.models.TeamMember || mongoose.model('TeamMember', TeamMemberSchema);
\ No newline at end of file
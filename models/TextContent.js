@@ -1,5 +1,6 @@
 // src/models/TextContent.js
 import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
 
 // Schema for repeatable features
 const FeatureSchema = new mongoose.Schema({
@@ -49,5 +50,7 @@ const TextContentSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+TextContentSchema.plugin(auditTrail, { entityType: 'site-content' });
+
 // Prevent OverwriteModelError in dev/hot-reload
 export default mongoose.models.TextContent || mongoose.model('TextContent', TextContentSchema);
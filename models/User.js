@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES, LEGACY_ROLE_ALIASES } from '../config/roles.js';
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -13,9 +14,11 @@ const UserSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Legacy 'admin' values are accepted until scripts/migrate-user-roles.js runs
   role: {
     type: String,
-    default: 'admin',
+    enum: [...ROLES, ...Object.keys(LEGACY_ROLE_ALIASES)],
+    default: 'viewer',
   },
 
   otpCode: String,
@@ -24,6 +27,61 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  otpLastSentAt: Date, // resend cooldown
+
+  // OTP delivery: preferred channel, then the fallbacks in order (email is always last resort)
+  phone: {
+    type: String,
+    trim: true,
+  },
+  otpChannel: {
+    type: String,
+    enum: ['email', 'sms', 'whatsapp'],
+    default: 'email',
+  },
+  otpFallbackChannels: {
+    type: [{ type: String, enum: ['email', 'sms', 'whatsapp'] }],
+    default: ['email'],
+  },
+
+  // Forgot-password flow: single-use token, stored hashed
+  passwordResetTokenHash: String,
+  passwordResetExpiresAt: Date,
+
+  // Set once the password step of login has passed; second factors are only
+  // accepted while it is in the future
+  loginChallengeExpiresAt: Date,
+
+  // Authenticator app (RFC 6238). The secret lives in totpPendingSecret until confirmed.
+  totpEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  totpSecret: String,
+  totpPendingSecret: String,
+  totpLastUsedStep: Number,
+
+  // WebAuthn passkeys. credentialId is base64url, publicKey is the COSE key.
+  passkeys: [{
+    credentialId: { type: String, required: true },
+    publicKey: { type: Buffer, required: true },
+    counter: { type: Number, default: 0 },
+    transports: [String],
+    deviceType: String, // 'singleDevice' | 'multiDevice'
+    backedUp: Boolean,
+    name: { type: String, default: 'Passkey' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: Date,
+  }],
+  // Pending WebAuthn ceremony challenge (registration or login)
+  webauthnChallenge: String,
+  webauthnChallengeExpiresAt: Date,
+
+  // One-time recovery codes, stored as SHA-256 hashes
+  recoveryCodes: [{
+    hash: { type: String, required: true },
+    usedAt: Date,
+  }],
 
   createdAt: {
     type: Date,
@@ -31,4 +89,6 @@ const UserSchema = new mongoose.Schema({
   },
 });
 
+UserSchema.index({ 'passkeys.credentialId': 1 });
+
 export default mongoose.model('User', UserSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// One event sent (or to be sent) to one subscription; doubles as the delivery log.
+// Worked off by services/webhooks/worker.js like the notification outbox.
+const DeliveryAttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number,
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+  },
+
+  event: {
+    type: String,
+    required: true,
+  },
+
+  // Stable per event: a replay sends the same id so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+
+  // The exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending',
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 8,
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  lockedUntil: Date,
+
+  responseStatus: Number,
+  responseBody: String,
+  lastError: String,
+  deliveredAt: Date,
+
+  // Set when an admin replayed an earlier delivery
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+
+  history: {
+    type: [DeliveryAttemptSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// The log is kept for 90 days
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
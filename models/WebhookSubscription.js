@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+import { WEBHOOK_EVENTS } from '../config/webhooks.js';
+
+// An external endpoint (CRM, Slack bridge, ...) that receives signed event payloads.
+// The secret is needed in plain text to sign deliveries, so it is kept out of
+// API responses (except on create/rotate) and redacted from the audit log.
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  secret: {
+    type: String,
+    required: true,
+  },
+
+  // Event names, or ['*'] for everything
+  events: {
+    type: [{ type: String, enum: [...Object.keys(WEBHOOK_EVENTS), '*'] }],
+    default: [],
+  },
+
+  active: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+WebhookSubscriptionSchema.plugin(auditTrail, { entityType: 'webhook', redact: ['secret'] });
+
+export default mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
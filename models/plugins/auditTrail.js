@@ -0,0 +1,95 @@
+// models/plugins/auditTrail.js
+// Mongoose plugin: writes an AuditLog entry for every create/update/delete on
+// the schema, whichever way the route performs it (save, findByIdAndUpdate,
+// findByIdAndDelete, doc.deleteOne, updateOne, updateMany, deleteMany).
+// Bulk writes get one entry per affected document.
+//
+// Usage: MySchema.plugin(auditTrail, { entityType: 'project' });
+import { getCurrentRequest } from '../../utils/requestContext.js';
+import { recordAudit } from '../../utils/audit.js';
+
+export default function auditTrail(schema, { entityType, redact = [] } = {}) {
+  if (!entityType) throw new Error('auditTrail plugin needs an entityType');
+
+  // ---------- doc.save() ----------
+  schema.pre('save', async function () {
+    this.$locals.audit = {
+      req: getCurrentRequest(),
+      isNew: this.isNew,
+      before: this.isNew ? null : await this.constructor.findById(this._id).lean(),
+    };
+  });
+
+  schema.post('save', async function (doc) {
+    const { req, isNew, before } = this.$locals.audit || {};
+    await recordAudit({ req, action: isNew ? 'create' : 'update', entityType, before, after: doc, redact });
+  });
+
+  // ---------- Model.findOneAndUpdate / findByIdAndUpdate / updateOne ----------
+  const captureBefore = async function () {
+    this._audit = {
+      req: getCurrentRequest(),
+      before: await this.model.findOne(this.getFilter()).lean(),
+    };
+  };
+
+  const recordUpdate = async function () {
+    const { req, before } = this._audit || {};
+    // Re-read so the entry reflects what was stored, whatever `new`/`lean` the caller used
+    const after = before
+      ? await this.model.findById(before._id).lean()
+      : await this.model.findOne(this.getFilter()).lean(); // upsert
+    if (!after) return;
+    await recordAudit({ req, action: before ? 'update' : 'create', entityType, before, after, redact });
+  };
+
+  schema.pre('findOneAndUpdate', captureBefore);
+  schema.post('findOneAndUpdate', recordUpdate);
+  schema.pre('updateOne', { document: false, query: true }, captureBefore);
+  schema.post('updateOne', { document: false, query: true }, recordUpdate);
+
+  // ---------- Model.findOneAndDelete / findByIdAndDelete ----------
+  schema.pre('findOneAndDelete', captureBefore);
+  schema.post('findOneAndDelete', async function () {
+    const { req, before } = this._audit || {};
+    if (!before) return;
+    await recordAudit({ req, action: 'delete', entityType, before, after: null, redact });
+  });
+
+  // ---------- Model.updateMany / deleteMany (one entry per document) ----------
+  const captureBeforeMany = async function () {
+    this._audit = {
+      req: getCurrentRequest(),
+      before: await this.model.find(this.getFilter()).lean(),
+    };
+  };
+
+  schema.pre('updateMany', captureBeforeMany);
+  schema.post('updateMany', async function () {
+    const { req, before = [] } = this._audit || {};
+    if (!before.length) return;
+    const after = await this.model.find({ _id: { $in: before.map((d) => d._id) } }).lean();
+    const afterById = new Map(after.map((d) => [String(d._id), d]));
+    for (const doc of before) {
+      const updated = afterById.get(String(doc._id));
+      if (updated) await recordAudit({ req, action: 'update', entityType, before: doc, after: updated, redact });
+    }
+  });
+
+  schema.pre('deleteMany', { document: false, query: true }, captureBeforeMany);
+  schema.post('deleteMany', { document: false, query: true }, async function () {
+    const { req, before = [] } = this._audit || {};
+    for (const doc of before) {
+      await recordAudit({ req, action: 'delete', entityType, before: doc, after: null, redact });
+    }
+  });
+
+  // ---------- doc.deleteOne() ----------
+  schema.pre('deleteOne', { document: true, query: false }, function () {
+    this.$locals.audit = { req: getCurrentRequest() };
+  });
+  schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    const { req } = this.$locals.audit || {};
+    await recordAudit({ req, action: 'delete', entityType, before: doc, after: null, redact });
+  });
+}
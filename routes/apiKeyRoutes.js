@@ -0,0 +1,125 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import { requirePermission } from '../middleware/auth.js';
+import { API_KEY_SCOPES } from '../config/roles.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const router = express.Router();
+
+/* ================= CONFIG ================= */
+const KEY_PREFIX = 'nxk';
+const MAX_EXPIRY_DAYS = 365;
+
+/* ================= HELPERS ================= */
+const toPublicKey = (key) => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  expiresAt: key.expiresAt,
+  lastUsedAt: key.lastUsedAt,
+  lastUsedIp: key.lastUsedIp,
+  createdBy: key.createdBy,
+  createdAt: key.createdAt,
+  revokedAt: key.revokedAt,
+  active: key.isActive(),
+});
+
+/* =========================================================
+   LIST AVAILABLE SCOPES
+   GET /api/api-keys/scopes
+========================================================= */
+router.get('/scopes', requirePermission('apikeys:read'), (_req, res) => {
+  res.json(API_KEY_SCOPES);
+});
+
+/* =========================================================
+   LIST KEYS
+   GET /api/api-keys
+========================================================= */
+router.get('/', requirePermission('apikeys:read'), async (_req, res) => {
+  try {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json(keys.map(toPublicKey));
+  } catch (err) {
+    console.error('LIST API KEYS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   CREATE KEY (the secret is only returned here)
+   POST /api/api-keys   Body: { name, scopes: [], expiresInDays? }
+========================================================= */
+router.post(
+  '/',
+  requirePermission('apikeys:write'),
+  [
+    check('name', 'Name is required').trim().notEmpty(),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be from: ${API_KEY_SCOPES.join(', ')}`).isIn(API_KEY_SCOPES),
+    check('expiresInDays', `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: MAX_EXPIRY_DAYS }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      const prefix = generateToken(4);
+      const key = `${KEY_PREFIX}_${prefix}_${generateToken(24)}`;
+
+      const apiKey = await ApiKey.create({
+        name,
+        prefix,
+        keyHash: hashToken(key),
+        scopes: Array.from(new Set(scopes)),
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+          : null,
+        createdBy: req.user?.id,
+      });
+
+      res.status(201).json({
+        ...toPublicKey(apiKey),
+        key,
+        message: 'Copy this key now; it will not be shown again. Send it in the x-api-key header.',
+      });
+    } catch (err) {
+      console.error('CREATE API KEY ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   REVOKE KEY
+   DELETE /api/api-keys/:id
+========================================================= */
+router.delete('/:id', requirePermission('apikeys:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid key id' });
+
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!key)
+      return res.status(404).json({ message: 'API key not found' });
+
+    res.json({ message: 'API key revoked', id: key._id });
+  } catch (err) {
+    console.error('REVOKE API KEY ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+// routes/auditRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import { requirePermission } from "../middleware/auth.js";
+import { escapeRegex } from "../utils/listQuery.js";
+
+const router = express.Router();
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const d = new Date(String(value));
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/* ------------------------------------------------------------------
+   GET /api/audit
+   Query params:
+     - page (default 1)
+     - limit (default 50, max 200)
+     - actor       (user/api-key id, or part of an email)
+     - actorType   (user | api-key | public | system)
+     - entityType  (project, post, tag, team-member, service, partner,
+                    story, milestone, certificate, schedule, message,
+                    site-content)
+     - entityId
+     - action      (create | update | delete)
+     - from, to    (ISO dates, inclusive range on createdAt)
+   Returns: { items, page, limit, total }
+------------------------------------------------------------------ */
+router.get("/", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit || "50", 10)));
+    const { actor, actorType, entityType, entityId, action } = req.query;
+
+    const q = {};
+    if (entityType) q.entityType = String(entityType);
+    if (entityId) q.entityId = String(entityId);
+    if (action) q.action = String(action);
+    if (actorType) q["actor.type"] = String(actorType);
+
+    if (actor) {
+      const a = String(actor).trim();
+      q.$or = mongoose.isValidObjectId(a)
+        ? [{ "actor.id": a }]
+        : [{ "actor.email": { $regex: escapeRegex(a), $options: "i" } }, { "actor.name": { $regex: escapeRegex(a), $options: "i" } }];
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (req.query.from && !from) return res.status(400).json({ message: "Invalid 'from' date" });
+    if (req.query.to && !to) return res.status(400).json({ message: "Invalid 'to' date" });
+    if (from || to) {
+      q.createdAt = {};
+      if (from) q.createdAt.$gte = from;
+      if (to) q.createdAt.$lte = to;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [total, items] = await Promise.all([
+      AuditLog.countDocuments(q).exec(),
+      AuditLog.find(q).sort({ createdAt: -1 }).skip(skip).limit(limit).lean().exec()
+    ]);
+
+    return res.json({ items, page, limit, total });
+  } catch (err) {
+    console.error("GET /api/audit error:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ------------------------------------------------------------------
+   GET /api/audit/:entityType/:entityId
+   Full history of one record, oldest first
+------------------------------------------------------------------ */
+router.get("/:entityType/:entityId", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const items = await AuditLog.find({
+      entityType: String(req.params.entityType),
+      entityId: String(req.params.entityId)
+    }).sort({ createdAt: 1 }).lean().exec();
+
+    return res.json(items);
+  } catch (err) {
+    console.error("GET /api/audit/:entityType/:entityId error:", err && err.stack ? err.stack : err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -1,9 +1,22 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import { check, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import transporter, { ADMIN_APP_URL } from '../config/mailer.js';
+import { hasPermission } from '../config/roles.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { loginLimiter, emailLimiter } from '../middleware/rateLimit.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { generateTotpSecret, verifyTotp, otpauthUri } from '../utils/totp.js';
+import { checkLockout, recordFailure, clearFailures } from '../utils/loginAttempts.js';
+import { sendOtp, OtpDeliveryError } from '../services/otpDelivery.js';
+import { CHANNEL_NAMES } from '../services/channels/index.js';
+import { formatPhoneNumber, maskPhone } from '../utils/phone.js';
+import { createSession, rotateSession, revokeSession, revokeUserSessions } from '../utils/sessions.js';
 
 const router = express.Router();
 
@@ -11,30 +24,67 @@ const router = express.Router();
 const OTP_EXPIRY_MINUTES = 5;
 const MAX_OTP_ATTEMPTS = 5;
 
-/* ================= EMAIL ================= */
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_PASS,
-  },
-});
-
-transporter.verify((err) => {
-  if (err) {
-    console.error('❌ Email transporter error:', err.message);
-  } else {
-    console.log('✅ Email transporter ready');
-  }
-});
+const RECOVERY_CODE_COUNT = 10;
+const RESET_TOKEN_EXPIRY_MINUTES = 30;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
 
 /* ================= HELPERS ================= */
+// 429 with Retry-After when the email or IP is locked out; returns true if it responded
+const rejectIfLocked = async (req, res, email) => {
+  const { locked, retryAfter } = await checkLockout(email, req.ip);
+  if (!locked) return false;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message: 'Too many failed attempts. Try again later.', retryAfter });
+  return true;
+};
+
 const generateOtp = () =>
   Math.floor(100000 + Math.random() * 900000).toString();
 
+// "a1b2c-d3e4f" style codes; users may type them with or without the dash
+const normalizeRecoveryCode = (code) =>
+  String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const remainingRecoveryCodes = (user) =>
+  (user.recoveryCodes || []).filter((c) => !c.usedAt).length;
+
+// Marks the matching unused code as used; caller saves the user
+const consumeRecoveryCode = (user, code) => {
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const entry = (user.recoveryCodes || []).find((c) => !c.usedAt && c.hash === hash);
+  if (!entry) return false;
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Accepts an authenticator code at most once: its time step must be later than the
+// last one used (login, regenerating recovery codes, disabling 2FA). The step is
+// claimed with a conditional update, so parallel requests cannot both use it.
+const useTotpCode = async (user, code) => {
+  const step = verifyTotp(user.totpSecret, code);
+  if (step === null) return false;
+
+  const claimed = await User.updateOne(
+    { _id: user._id, $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: step } }] },
+    { $set: { totpLastUsedStep: step } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  user.totpLastUsedStep = step;
+  return true;
+};
+
 /* =========================================================
-   ADMIN REGISTER (ONE TIME)
+   BOOTSTRAP REGISTER (FIRST SUPER-ADMIN ONLY)
    POST /api/auth/register
+   Only works while there are no users; everyone else joins
+   through an invite (see routes/inviteRoutes.js).
 ========================================================= */
 router.post(
   '/register',
@@ -50,16 +100,17 @@ router.post(
     try {
       const { email, password } = req.body;
 
-      const existing = await User.findOne({ email });
-      if (existing)
-        return res.status(400).json({ message: 'User already exists' });
+      if ((await User.countDocuments()) > 0)
+        return res.status(403).json({
+          message: 'Registration is closed. Ask an existing admin for an invite.',
+        });
 
       const hashedPassword = await bcrypt.hash(password, 10);
 
       await User.create({
         email,
         password: hashedPassword,
-        role: 'admin',
+        role: 'super-admin',
       });
 
       res.status(201).json({
@@ -72,12 +123,70 @@ router.post(
   }
 );
 
+/* =========================================================
+   ACCEPT INVITE → SET PASSWORD + CREATE USER
+   POST /api/auth/accept-invite   Body: { token, password }
+========================================================= */
+router.post(
+  '/accept-invite',
+  [
+    check('token', 'Invite token is required').notEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { token, password } = req.body;
+
+      // Claim the invite atomically so the link can only be used once
+      const invite = await Invite.findOneAndUpdate(
+        {
+          tokenHash: hashToken(token),
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { $set: { acceptedAt: new Date() } },
+        { new: true }
+      );
+      if (!invite)
+        return res.status(400).json({ message: 'Invite is invalid or has expired' });
+
+      if (await User.exists({ email: invite.email })) {
+        return res.status(400).json({ message: 'User already exists' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const user = await User.create({
+        email: invite.email,
+        password: hashedPassword,
+        role: invite.role,
+      });
+
+      invite.acceptedBy = user._id;
+      await invite.save();
+
+      res.status(201).json({
+        message: 'Invite accepted. You can now log in.',
+        email: user.email,
+      });
+    } catch (err) {
+      console.error('ACCEPT INVITE ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 /* =========================================================
    LOGIN STEP 1 → PASSWORD CHECK + SEND OTP
    POST /api/auth/login
 ========================================================= */
 router.post(
   '/login',
+  loginLimiter,
   [
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password is required').exists(),
@@ -90,13 +199,37 @@ router.post(
     try {
       const { email, password } = req.body;
 
+      if (await rejectIfLocked(req, res, email)) return;
+
       const user = await User.findOne({ email });
-      if (!user)
+      if (!user) {
+        await recordFailure(email, req.ip, 'unknown email');
         return res.status(400).json({ message: 'Invalid credentials' });
+      }
 
       const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch)
+      if (!isMatch) {
+        await recordFailure(email, req.ip, 'wrong password');
         return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      user.loginChallengeExpiresAt = new Date(
+        Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000
+      );
+      user.otpAttempts = 0;
+
+      // Authenticator users confirm with their app; a delivered OTP stays
+      // available through /resend-otp if they don't have it at hand
+      if (user.totpEnabled) {
+        await user.save();
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          otpSent: false,
+          totpRequired: true,
+          methods: ['totp', 'recovery_code', 'email'],
+          sessionData: { email },
+        });
+      }
 
       const otpCode = generateOtp();
       const otpExpiresAt = new Date(
@@ -105,26 +238,21 @@ router.post(
 
       user.otpCode = otpCode;
       user.otpExpiresAt = otpExpiresAt;
-      user.otpAttempts = 0;
+      user.otpLastSentAt = new Date();
       await user.save();
 
-      await transporter.sendMail({
-        from: process.env.GMAIL_USER,
-        to: email,
-        subject: 'NEXORA Admin Login OTP',
-        html: `
-          <p>Your OTP is:</p>
-          <h2>${otpCode}</h2>
-          <p>Valid for ${OTP_EXPIRY_MINUTES} minutes.</p>
-        `,
-      });
+      const delivery = await sendOtp(user, otpCode, { expiresInMinutes: OTP_EXPIRY_MINUTES });
 
       res.json({
-        message: 'OTP sent to your email',
+        message: `OTP sent via ${delivery.channel}`,
         otpSent: true,
+        otpChannel: delivery.channel,
+        otpDestination: delivery.destination,
         sessionData: { email },
       });
     } catch (err) {
+      if (err instanceof OtpDeliveryError)
+        return res.status(502).json({ message: 'Could not deliver the OTP on any channel. Please try again.' });
       console.error('LOGIN ERROR:', err);
       res.status(500).json({ message: 'Server error during login' });
     }
@@ -132,14 +260,21 @@ router.post(
 );
 
 /* =========================================================
-   LOGIN STEP 2 → VERIFY OTP + JWT
+   LOGIN STEP 2 → VERIFY SECOND FACTOR + JWT
    POST /api/auth/verify-otp
+   Body: { email, otp_code } — email OTP, or authenticator code if enrolled
+      or { email, recovery_code } — one-time recovery code
 ========================================================= */
 router.post(
   '/verify-otp',
+  loginLimiter,
   [
     check('email', 'Please include a valid email').isEmail(),
-    check('otp_code', 'OTP must be 6 digits').isLength({ min: 6, max: 6 }),
+    check('otp_code', 'OTP must be 6 digits').optional().isLength({ min: 6, max: 6 }),
+    check('recovery_code', 'Recovery code must be a string').optional().isString(),
+    check('otp_code', 'An OTP or recovery code is required')
+      .if((_value, { req }) => !req.body.recovery_code)
+      .notEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -147,36 +282,61 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
 
     try {
-      const { email, otp_code } = req.body;
+      const { email, otp_code, recovery_code } = req.body;
+
+      if (await rejectIfLocked(req, res, email)) return;
 
       const user = await User.findOne({ email });
-      if (!user)
+      if (!user) {
+        await recordFailure(email, req.ip, 'unknown email');
         return res.status(400).json({ message: 'User not found' });
+      }
 
       if (user.otpAttempts >= MAX_OTP_ATTEMPTS)
         return res.status(429).json({ message: 'Too many attempts' });
 
-      if (!user.otpCode || user.otpExpiresAt < new Date())
-        return res.status(401).json({ message: 'OTP expired' });
+      let verified = false;
 
-      if (user.otpCode !== otp_code) {
+      if (user.totpEnabled && (recovery_code || otp_code)) {
+        // Authenticator / recovery codes only count after the password step
+        const challengeActive = user.loginChallengeExpiresAt && user.loginChallengeExpiresAt > new Date();
+
+        if (challengeActive && recovery_code) {
+          verified = consumeRecoveryCode(user, recovery_code);
+        } else if (challengeActive && otp_code) {
+          verified = await useTotpCode(user, otp_code);
+        }
+      }
+
+      // Delivered OTP (email/SMS/WhatsApp): the only factor for users without an authenticator, a fallback otherwise
+      if (!verified && otp_code) {
+        if (!user.totpEnabled && (!user.otpCode || user.otpExpiresAt < new Date()))
+          return res.status(401).json({ message: 'OTP expired' });
+
+        verified = Boolean(user.otpCode) && user.otpExpiresAt > new Date() && user.otpCode === otp_code;
+      }
+
+      if (!verified) {
         user.otpAttempts += 1;
         await user.save();
-        return res.status(401).json({ message: 'Invalid OTP' });
+        await recordFailure(email, req.ip, recovery_code ? 'invalid recovery code' : 'invalid otp');
+        return res.status(401).json({ message: recovery_code ? 'Invalid recovery code' : 'Invalid OTP' });
       }
 
       user.otpCode = null;
       user.otpExpiresAt = null;
       user.otpAttempts = 0;
+      user.loginChallengeExpiresAt = null;
       await user.save();
+      await clearFailures(email, req.ip);
 
-      const token = jwt.sign(
-        { user: { id: user.id, email: user.email, role: user.role } },
-        process.env.JWT_SECRET,
-        { expiresIn: '5h' }
-      );
+      const tokens = await createSession(user, req);
 
-      res.json({ token, message: 'Login successful' });
+      res.json({
+        ...tokens,
+        message: 'Login successful',
+        ...(recovery_code ? { recoveryCodesRemaining: remainingRecoveryCodes(user) } : {}),
+      });
     } catch (err) {
       console.error('VERIFY OTP ERROR:', err);
       res.status(500).json({ message: 'Server error during verification' });
@@ -186,40 +346,620 @@ router.post(
 
 /* =========================================================
    RESEND OTP
-   POST /api/auth/resend-otp
+   POST /api/auth/resend-otp   Body: { email, channel? }
+   channel (email | sms | whatsapp) tries that channel first
 ========================================================= */
 router.post(
   '/resend-otp',
-  [check('email', 'Please include a valid email').isEmail()],
+  emailLimiter,
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('channel', `Channel must be one of: ${CHANNEL_NAMES.join(', ')}`).optional().isIn(CHANNEL_NAMES),
+  ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
     try {
       const { email } = req.body;
 
+      if (await rejectIfLocked(req, res, email)) return;
+
       const user = await User.findOne({ email });
       if (!user)
         return res.status(400).json({ message: 'User not found' });
 
+      // Email fallback for authenticator users still requires the password step
+      if (user.totpEnabled && !(user.loginChallengeExpiresAt > new Date()))
+        return res.status(400).json({ message: 'Please log in again' });
+
+      const sinceLastSend = user.otpLastSentAt ? (Date.now() - user.otpLastSentAt.getTime()) / 1000 : Infinity;
+      if (sinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - sinceLastSend);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: 'Please wait before requesting another OTP', retryAfter });
+      }
+
+      // A new code does NOT reset otpAttempts — only a successful login or a
+      // fresh password check does, so resending can't undo MAX_OTP_ATTEMPTS
       const otpCode = generateOtp();
       user.otpCode = otpCode;
       user.otpExpiresAt = new Date(
         Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000
       );
-      user.otpAttempts = 0;
+      user.otpLastSentAt = new Date();
       await user.save();
 
-      await transporter.sendMail({
-        from: process.env.GMAIL_USER,
-        to: email,
+      const delivery = await sendOtp(user, otpCode, {
+        preferred: req.body.channel,
+        expiresInMinutes: OTP_EXPIRY_MINUTES,
         subject: 'New NEXORA OTP',
-        html: `<h2>${otpCode}</h2>`,
       });
 
-      res.json({ message: 'New OTP sent' });
+      res.json({
+        message: `New OTP sent via ${delivery.channel}`,
+        otpChannel: delivery.channel,
+        otpDestination: delivery.destination,
+      });
     } catch (err) {
+      if (err instanceof OtpDeliveryError)
+        return res.status(502).json({ message: 'Could not deliver the OTP on any channel. Please try again.' });
       console.error('RESEND OTP ERROR:', err);
       res.status(500).json({ message: 'Server error' });
     }
   }
 );
 
+/* =========================================================
+   FORGOT PASSWORD → EMAIL RESET LINK
+   POST /api/auth/forgot-password   Body: { email }
+   Always answers the same way so it can't be used to probe
+   which emails have accounts.
+========================================================= */
+router.post(
+  '/forgot-password',
+  emailLimiter,
+  [check('email', 'Please include a valid email').isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    const genericResponse = {
+      message: 'If an account exists for that email, a reset link has been sent.',
+    };
+
+    try {
+      const email = String(req.body.email).toLowerCase().trim();
+      const user = await User.findOne({ email });
+      if (!user) return res.json(genericResponse);
+
+      const token = generateToken();
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpiresAt = new Date(
+        Date.now() + RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000
+      );
+      await user.save();
+
+      const link = `${ADMIN_APP_URL}/reset-password?token=${token}`;
+      try {
+        await transporter.sendMail({
+          from: process.env.GMAIL_USER,
+          to: user.email,
+          subject: 'Reset your NEXORA Admin password',
+          html: `
+            <p>Someone asked to reset the password for this account.</p>
+            <p><a href="${link}">Choose a new password</a></p>
+            <p>The link is valid for ${RESET_TOKEN_EXPIRY_MINUTES} minutes and can be used once.
+            If this wasn't you, you can ignore this email.</p>
+          `,
+        });
+      } catch (mailErr) {
+        // Still the generic answer: an error here would reveal that the account exists
+        console.error('FORGOT PASSWORD MAIL ERROR:', mailErr.message);
+      }
+
+      res.json(genericResponse);
+    } catch (err) {
+      console.error('FORGOT PASSWORD ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   RESET PASSWORD → CONSUME TOKEN
+   POST /api/auth/reset-password   Body: { token, password }
+========================================================= */
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Reset token is required').notEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { token, password } = req.body;
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Single atomic update so a token can never be used twice
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpiresAt: { $gt: new Date() },
+        },
+        {
+          $set: { password: hashedPassword },
+          $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+        },
+        { new: true }
+      );
+      if (!user)
+        return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+
+      await revokeUserSessions(user._id, { reason: 'password reset' });
+
+      res.json({ message: 'Password updated. Please log in again.' });
+    } catch (err) {
+      console.error('RESET PASSWORD ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   CHANGE PASSWORD (LOGGED IN)
+   POST /api/auth/change-password   Body: { currentPassword, newPassword }
+   Other sessions are signed out; the current one stays.
+========================================================= */
+router.post(
+  '/change-password',
+  auth,
+  [
+    check('currentPassword', 'Current password is required').notEmpty(),
+    check('newPassword', 'Password must be at least 6 characters').isLength({ min: 6 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.id);
+      if (!user)
+        return res.status(404).json({ message: 'User not found' });
+
+      const isMatch = await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch)
+        return res.status(400).json({ message: 'Current password is incorrect' });
+
+      user.password = await bcrypt.hash(newPassword, 10);
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpiresAt = null;
+      await user.save();
+
+      const result = await revokeUserSessions(user._id, { except: req.user.sid, reason: 'password changed' });
+
+      res.json({ message: 'Password changed', sessionsRevoked: result.modifiedCount });
+    } catch (err) {
+      console.error('CHANGE PASSWORD ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   REFRESH → ROTATE REFRESH TOKEN + NEW ACCESS TOKEN
+   POST /api/auth/refresh   Body: { refreshToken }
+========================================================= */
+router.post(
+  '/refresh',
+  [check('refreshToken', 'Refresh token is required').notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const tokens = await rotateSession(req.body.refreshToken, req);
+      if (!tokens)
+        return res.status(401).json({ message: 'Refresh token is not valid' });
+
+      res.json(tokens);
+    } catch (err) {
+      console.error('REFRESH ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   LOGOUT → REVOKE THE SESSION
+   POST /api/auth/logout   Body: { refreshToken }
+   Works with just the refresh token, so an expired access
+   token does not prevent logging out.
+========================================================= */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken), revokedAt: null });
+      if (session) await revokeSession(session, 'logout');
+      return res.json({ message: 'Logged out' });
+    }
+
+    return auth(req, res, () =>
+      Session.updateOne(
+        { _id: req.user.sid, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      )
+        .then(() => res.json({ message: 'Logged out' }))
+        .catch((err) => {
+          console.error('LOGOUT ERROR:', err);
+          res.status(500).json({ message: 'Server error' });
+        })
+    );
+  } catch (err) {
+    console.error('LOGOUT ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   LIST ACTIVE SESSIONS
+   GET /api/auth/sessions            (own sessions)
+   GET /api/auth/sessions?userId=... (needs users:read)
+========================================================= */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.id;
+    if (typeof userId !== 'string' || !mongoose.isValidObjectId(userId))
+      return res.status(400).json({ message: 'Invalid user id' });
+    if (userId !== req.user.id && !hasPermission(req.user.role, 'users:read'))
+      return res.status(403).json({ message: "Forbidden: missing permission 'users:read'" });
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map((s) => ({
+      id: s._id,
+      ip: s.ip,
+      userAgent: s.userAgent,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt,
+      expiresAt: s.expiresAt,
+      current: String(s._id) === req.user.sid,
+    })));
+  } catch (err) {
+    console.error('LIST SESSIONS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REVOKE ALL OTHER SESSIONS
+   DELETE /api/auth/sessions
+========================================================= */
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, { except: req.user.sid, reason: 'revoked by user' });
+    res.json({ message: 'Other sessions revoked', revoked: result.modifiedCount });
+  } catch (err) {
+    console.error('REVOKE SESSIONS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REVOKE ONE SESSION
+   DELETE /api/auth/sessions/:id
+   Own sessions, or anyone's with users:write
+========================================================= */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid session id' });
+
+    const session = await Session.findOne({ _id: req.params.id, revokedAt: null });
+    if (!session)
+      return res.status(404).json({ message: 'Session not found' });
+
+    if (String(session.user) !== req.user.id && !hasPermission(req.user.role, 'users:write'))
+      return res.status(403).json({ message: "Forbidden: missing permission 'users:write'" });
+
+    await revokeSession(session, String(session.user) === req.user.id ? 'revoked by user' : `revoked by ${req.user.email}`);
+    res.json({ message: 'Session revoked', id: session._id });
+  } catch (err) {
+    console.error('REVOKE SESSION ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   AUTHENTICATOR APP (TOTP) STATUS
+   GET /api/auth/totp
+========================================================= */
+router.get('/totp', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: 'User not found' });
+
+    res.json({
+      enabled: Boolean(user.totpEnabled),
+      recoveryCodesRemaining: user.totpEnabled ? remainingRecoveryCodes(user) : 0,
+    });
+  } catch (err) {
+    console.error('TOTP STATUS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   TOTP ENROLL STEP 1 → NEW SECRET + otpauth URI
+   POST /api/auth/totp/enroll
+========================================================= */
+router.post('/totp/enroll', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: 'User not found' });
+
+    if (user.totpEnabled)
+      return res.status(400).json({ message: 'Authenticator is already enabled' });
+
+    user.totpPendingSecret = generateTotpSecret();
+    await user.save();
+
+    res.json({
+      secret: user.totpPendingSecret,
+      otpauthUri: otpauthUri(user.totpPendingSecret, user.email),
+      message: 'Scan the URI with your authenticator app, then confirm with a code',
+    });
+  } catch (err) {
+    console.error('TOTP ENROLL ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   TOTP ENROLL STEP 2 → CONFIRM CODE + RECOVERY CODES
+   POST /api/auth/totp/confirm   Body: { code }
+========================================================= */
+router.post(
+  '/totp/confirm',
+  auth,
+  [check('code', 'Code must be 6 digits').isLength({ min: 6, max: 6 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user)
+        return res.status(404).json({ message: 'User not found' });
+
+      if (!user.totpPendingSecret)
+        return res.status(400).json({ message: 'Start enrollment first' });
+
+      const step = verifyTotp(user.totpPendingSecret, req.body.code);
+      if (step === null)
+        return res.status(400).json({ message: 'Invalid code' });
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      user.totpSecret = user.totpPendingSecret;
+      user.totpPendingSecret = null;
+      user.totpEnabled = true;
+      user.totpLastUsedStep = step;
+      user.recoveryCodes = recoveryCodes.map((c) => ({ hash: hashToken(normalizeRecoveryCode(c)) }));
+      await user.save();
+
+      res.json({
+        message: 'Authenticator enabled. Store these recovery codes somewhere safe; they are shown only once.',
+        recoveryCodes,
+      });
+    } catch (err) {
+      console.error('TOTP CONFIRM ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   REGENERATE RECOVERY CODES (old ones stop working)
+   POST /api/auth/totp/recovery-codes   Body: { code }
+========================================================= */
+router.post(
+  '/totp/recovery-codes',
+  auth,
+  [check('code', 'Code must be 6 digits').isLength({ min: 6, max: 6 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user || !user.totpEnabled)
+        return res.status(400).json({ message: 'Authenticator is not enabled' });
+
+      if (!(await useTotpCode(user, req.body.code)))
+        return res.status(400).json({ message: 'Invalid code' });
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.recoveryCodes = recoveryCodes.map((c) => ({ hash: hashToken(normalizeRecoveryCode(c)) }));
+      await user.save();
+
+      res.json({ recoveryCodes });
+    } catch (err) {
+      console.error('RECOVERY CODES ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   DISABLE AUTHENTICATOR
+   DELETE /api/auth/totp   Body: { code } or { recovery_code }
+========================================================= */
+router.delete('/totp', auth, async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body || {};
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.totpEnabled)
+      return res.status(400).json({ message: 'Authenticator is not enabled' });
+
+    const ok = recovery_code
+      ? consumeRecoveryCode(user, recovery_code)
+      : await useTotpCode(user, code);
+    if (!ok)
+      return res.status(400).json({ message: 'Invalid code' });
+
+    user.totpEnabled = false;
+    user.totpSecret = null;
+    user.totpPendingSecret = null;
+    user.totpLastUsedStep = null;
+    user.recoveryCodes = [];
+    await user.save();
+
+    res.json({ message: 'Authenticator disabled' });
+  } catch (err) {
+    console.error('TOTP DISABLE ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   LIST LOCKOUTS (ADMIN)
+   GET /api/auth/lockouts?all=true
+   Locked keys by default; all=true includes keys that only
+   have recent failures.
+========================================================= */
+router.get('/lockouts', requirePermission('users:read'), async (req, res) => {
+  try {
+    const all = String(req.query.all).toLowerCase() === 'true';
+    const q = all ? {} : { lockedUntil: { $gt: new Date() } };
+
+    const attempts = await LoginAttempt.find(q).sort({ lastFailureAt: -1 }).limit(200).lean();
+    const now = new Date();
+
+    res.json(attempts.map((a) => ({
+      id: a._id,
+      kind: a.kind,
+      value: a.value,
+      failures: a.failures,
+      lockCount: a.lockCount,
+      locked: Boolean(a.lockedUntil && a.lockedUntil > now),
+      lockedUntil: a.lockedUntil,
+      lastFailureAt: a.lastFailureAt,
+      lastFailureReason: a.lastFailureReason,
+    })));
+  } catch (err) {
+    console.error('LIST LOCKOUTS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   CLEAR A LOCKOUT (ADMIN)
+   DELETE /api/auth/lockouts/:id
+========================================================= */
+router.delete('/lockouts/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid lockout id' });
+
+    const removed = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!removed)
+      return res.status(404).json({ message: 'Lockout not found' });
+
+    // Also give the user a clean slate on per-code OTP attempts
+    if (removed.kind === 'email') {
+      await User.updateOne({ email: removed.value }, { $set: { otpAttempts: 0 } });
+    }
+
+    res.json({ message: 'Lockout cleared', id: removed._id });
+  } catch (err) {
+    console.error('CLEAR LOCKOUT ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   OTP DELIVERY PREFERENCES
+   GET /api/auth/otp-preferences
+   PUT /api/auth/otp-preferences   Body: { channel, fallback: [], phone? }
+========================================================= */
+const toOtpPreferences = (user) => ({
+  channel: user.otpChannel || 'email',
+  fallback: user.otpFallbackChannels || ['email'],
+  phone: user.phone ? maskPhone(user.phone) : null,
+  channels: CHANNEL_NAMES,
+});
+
+router.get('/otp-preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: 'User not found' });
+
+    res.json(toOtpPreferences(user));
+  } catch (err) {
+    console.error('OTP PREFERENCES ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put(
+  '/otp-preferences',
+  auth,
+  [
+    check('channel', `Channel must be one of: ${CHANNEL_NAMES.join(', ')}`).isIn(CHANNEL_NAMES),
+    check('fallback', 'Fallback must be a list of channels').optional().isArray(),
+    check('fallback.*', `Channel must be one of: ${CHANNEL_NAMES.join(', ')}`).isIn(CHANNEL_NAMES),
+    check('phone', 'Please include a valid phone number').optional({ values: 'falsy' }).isMobilePhone('any'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { channel, fallback, phone } = req.body;
+
+      const user = await User.findById(req.user.id);
+      if (!user)
+        return res.status(404).json({ message: 'User not found' });
+
+      if (phone !== undefined) user.phone = phone ? formatPhoneNumber(phone) : null;
+
+      const order = [channel, ...(fallback || user.otpFallbackChannels || [])];
+      if (order.some((c) => c !== 'email') && !user.phone)
+        return res.status(400).json({ message: 'Add a phone number to use SMS or WhatsApp' });
+
+      user.otpChannel = channel;
+      user.otpFallbackChannels = Array.from(new Set((fallback || user.otpFallbackChannels || []).filter((c) => c !== channel)));
+      await user.save();
+
+      res.json(toOtpPreferences(user));
+    } catch (err) {
+      console.error('OTP PREFERENCES ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 export default router;
@@ -1,6 +1,11 @@
 import express from 'express';
 import Certificate from '../models/Certificate.js';
 import { upload, cloudinary } from '../config/cloudinaryConfig.js';
+import { requirePermission } from '../middleware/auth.js';
+import { parseSort, searchClause, dateRange, InvalidDateError } from '../utils/listQuery.js';
+import { parseExportOptions, streamExport, ExportOptionsError } from '../utils/export.js';
+import { notify } from '../services/notifications/index.js';
+import { emitWebhookEvent } from '../services/webhooks/index.js';
 import stream from 'stream';
 
 const router = express.Router();
@@ -8,7 +13,7 @@ const router = express.Router();
 // =================================================================
 // 1. UPLOAD CERTIFICATE (Manual Stream Method)
 // =================================================================
-router.post('/upload', upload.single('pdf'), async (req, res) => {
+router.post('/upload', requirePermission('certificates:write'), upload.single('pdf'), async (req, res) => {
   try {
     // 1. Validate that the file actually arrived in memory
     if (!req.file || !req.file.buffer) {
@@ -61,6 +66,27 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
 
     await cert.save();
 
+    try {
+      await notify('certificate.issued', {
+        id: String(cert._id),
+        certificateID: cert.certificateID,
+        studentName: cert.studentName,
+        issueDate: cert.issueDate,
+        formattedDate: cert.issueDate.toDateString(),
+        pdfUrl: cert.pdfUrl,
+      }, { entityType: 'certificate', entityId: cert._id });
+    } catch (notifyErr) {
+      console.error('Notification enqueue failed:', notifyErr.message);
+    }
+
+    await emitWebhookEvent('certificate.issued', {
+      id: cert._id,
+      certificateID: cert.certificateID,
+      studentName: cert.studentName,
+      issueDate: cert.issueDate,
+      pdfUrl: cert.pdfUrl,
+    });
+
     return res.status(201).json({ success: true, data: cert });
 
   } catch (error) {
@@ -110,9 +136,51 @@ router.get('/', async (req, res) => {
 });
 
 // =================================================================
-// 4. DELETE CERTIFICATE
+// 4. EXPORT ROSTER
+//    GET /api/certificates/export?format=csv|json&tz=Asia/Kolkata
+//    Filters: ?search= (ID or student name), ?from=&to= (issue date)
+// =================================================================
+const CERTIFICATE_EXPORT_COLUMNS = [
+  { header: 'certificateID', value: (c) => c.certificateID },
+  { header: 'studentName', value: (c) => c.studentName },
+  { header: 'issueDate', value: (c) => c.issueDate },
+  { header: 'pdfUrl', value: (c) => c.pdfUrl },
+  { header: 'createdAt', value: (c) => c.createdAt },
+];
+
+const CERTIFICATE_SORT_FIELDS = {
+  issueDate: 'issueDate',
+  createdAt: 'createdAt',
+  certificateID: 'certificateID',
+  studentName: 'studentName',
+};
+
+router.get('/export', requirePermission('certificates:read'), async (req, res) => {
+  try {
+    const { format, timeZone } = parseExportOptions(req.query);
+    const sort = parseSort(req.query.sort, CERTIFICATE_SORT_FIELDS, { createdAt: -1 });
+
+    const q = {};
+    const search = searchClause(req.query.search, ['certificateID', 'studentName']);
+    if (search) q.$or = search;
+    const range = dateRange(req.query.from, req.query.to);
+    if (range) q.issueDate = range;
+
+    const cursor = Certificate.find(q).sort(sort).lean().cursor();
+    await streamExport(res, { cursor, columns: CERTIFICATE_EXPORT_COLUMNS, format, timeZone, filename: 'certificates' });
+  } catch (err) {
+    if (err instanceof InvalidDateError || err instanceof ExportOptionsError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error('Export Error:', err);
+    return res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// =================================================================
+// 5. DELETE CERTIFICATE
 // =================================================================
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('certificates:delete'), async (req, res) => {
   try {
     const cert = await Certificate.findById(req.params.id);
     if (!cert) return res.status(404).json({ success: false, message: 'Not found' });
@@ -0,0 +1,210 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Contact, { CONTACT_STAGES } from '../models/Contact.js';
+import { requirePermission } from '../middleware/auth.js';
+import { parsePagination, parseSort, searchClause, escapeRegex } from '../utils/listQuery.js';
+import { contactTimeline, mergeContacts, normalizeEmail, normalizePhone } from '../services/contacts.js';
+
+const router = express.Router();
+
+/* ================= HELPERS ================= */
+// ?sort=-lastInteractionAt (default), name, companyName, stage, firstSeenAt
+const CONTACT_SORT_FIELDS = {
+  lastInteractionAt: 'lastInteractionAt',
+  firstSeenAt: 'firstSeenAt',
+  name: 'name',
+  companyName: 'companyName',
+  stage: 'stage',
+};
+
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((v) => String(v).trim().toLowerCase())
+    .filter(Boolean);
+
+const validId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: 'Invalid contact id' });
+  next();
+};
+
+/* =========================================================
+   SEARCH CONTACTS
+   GET /api/contacts?search=acme&stage=lead,qualified&tag=vip&sort=-lastInteractionAt&page=&limit=
+   search matches name, company, any email, or a phone number
+   Returns { items, page, limit, total }
+========================================================= */
+router.get('/', requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+    const sort = parseSort(req.query.sort, CONTACT_SORT_FIELDS, { lastInteractionAt: -1 });
+
+    const q = {};
+    const search = searchClause(req.query.search, ['name', 'companyName', 'emails']);
+    if (search) {
+      const phone = normalizePhone(req.query.search);
+      q.$or = phone ? [...search, { phones: phone }] : search;
+    }
+
+    const stages = listParam(req.query.stage).filter((s) => CONTACT_STAGES.includes(s));
+    if (stages.length) q.stage = { $in: stages };
+
+    const tags = listParam(req.query.tag);
+    if (tags.length) q.tags = { $all: tags };
+
+    const [total, items] = await Promise.all([
+      Contact.countDocuments(q),
+      Contact.find(q).sort(sort).skip(skip).limit(limit).lean(),
+    ]);
+
+    res.json({ items, page, limit, total });
+  } catch (err) {
+    console.error('LIST CONTACTS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   POSSIBLE DUPLICATES
+   GET /api/contacts/:id/duplicates
+   Other contacts with the same name or company, to review before merging
+========================================================= */
+router.get('/:id/duplicates', requirePermission('contacts:read'), validId, async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id).lean();
+    if (!contact)
+      return res.status(404).json({ message: 'Contact not found' });
+
+    const exact = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+    const or = [];
+    if (contact.name) or.push({ name: exact(contact.name) });
+    if (contact.companyName) or.push({ companyName: exact(contact.companyName) });
+
+    const candidates = or.length
+      ? await Contact.find({ _id: { $ne: contact._id }, $or: or }).limit(20).lean()
+      : [];
+
+    res.json(candidates);
+  } catch (err) {
+    console.error('CONTACT DUPLICATES ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   ONE CONTACT + TIMELINE
+   GET /api/contacts/:id
+========================================================= */
+router.get('/:id', requirePermission('contacts:read'), validId, async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id).lean();
+    if (!contact)
+      return res.status(404).json({ message: 'Contact not found' });
+
+    res.json({ ...contact, timeline: await contactTimeline(contact._id) });
+  } catch (err) {
+    console.error('GET CONTACT ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   UPDATE CONTACT
+   PATCH /api/contacts/:id   Body: { name?, companyName?, role?, stage?, tags?, email?, phone? }
+   email/phone pick the primary address among the known ones (or add a new one)
+========================================================= */
+router.patch(
+  '/:id',
+  requirePermission('contacts:write'),
+  validId,
+  [
+    check('stage', `Stage must be one of: ${CONTACT_STAGES.join(', ')}`).optional().isIn(CONTACT_STAGES),
+    check('tags', 'Tags must be a list').optional().isArray(),
+    check('email', 'Please include a valid email').optional().isEmail(),
+    check('phone', 'Invalid phone number').optional().custom((v) => Boolean(normalizePhone(v))),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const contact = await Contact.findById(req.params.id);
+      if (!contact)
+        return res.status(404).json({ message: 'Contact not found' });
+
+      const { name, companyName, role, stage, tags, email, phone } = req.body;
+      if (name !== undefined) contact.name = String(name).trim();
+      if (companyName !== undefined) contact.companyName = String(companyName).trim();
+      if (role !== undefined) contact.role = String(role).trim();
+      if (stage !== undefined) contact.stage = stage;
+      if (tags !== undefined) contact.tags = Array.from(new Set(listParam(tags)));
+
+      if (email !== undefined) {
+        const key = normalizeEmail(email);
+        const owner = await Contact.findOne({ _id: { $ne: contact._id }, emails: key }).select('_id');
+        if (owner)
+          return res.status(409).json({ message: 'Another contact uses this email; merge them instead', contactId: owner._id });
+        contact.emails.addToSet(key);
+        contact.email = key;
+      }
+      if (phone !== undefined) {
+        const key = normalizePhone(phone);
+        const owner = await Contact.findOne({ _id: { $ne: contact._id }, phones: key }).select('_id');
+        if (owner)
+          return res.status(409).json({ message: 'Another contact uses this phone; merge them instead', contactId: owner._id });
+        contact.phones.addToSet(key);
+        contact.phone = key;
+      }
+
+      await contact.save();
+      res.json(contact);
+    } catch (err) {
+      console.error('UPDATE CONTACT ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   MERGE DUPLICATES INTO THIS CONTACT
+   POST /api/contacts/:id/merge   Body: { duplicateIds: [] }
+   The duplicates' messages and meetings move here; the duplicates are deleted
+========================================================= */
+router.post(
+  '/:id/merge',
+  requirePermission('contacts:write'),
+  validId,
+  [
+    check('duplicateIds', 'duplicateIds must be a non-empty list').isArray({ min: 1 }),
+    check('duplicateIds.*', 'Invalid contact id').isMongoId(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const duplicateIds = Array.from(new Set(req.body.duplicateIds.map(String)));
+      if (duplicateIds.includes(req.params.id))
+        return res.status(400).json({ message: 'A contact cannot be merged into itself' });
+
+      const primary = await Contact.findById(req.params.id);
+      if (!primary)
+        return res.status(404).json({ message: 'Contact not found' });
+
+      const duplicates = await Contact.find({ _id: { $in: duplicateIds } });
+      if (duplicates.length !== duplicateIds.length)
+        return res.status(404).json({ message: 'One or more duplicate contacts were not found' });
+
+      const merged = await mergeContacts(primary, duplicates);
+      res.json({ ...merged.toObject(), mergedIds: duplicateIds });
+    } catch (err) {
+      console.error('MERGE CONTACTS ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+export default router;
@@ -1,6 +1,6 @@
 // routes/contentRoutes.js
 import express from 'express';
-import auth from '../middleware/auth.js'; 
+import { requirePermission } from '../middleware/auth.js';
 
 import TextContent from '../models/TextContent.js';
 import Service from '../models/Service.js';
@@ -56,7 +56,7 @@ router.get('/all', async (req, res) => {
 });
 
 // --- ADMIN ROUTE ---
-router.get('/all-editable', auth, async (req, res) => {
+router.get('/all-editable', requirePermission('content:read'), async (req, res) => {
     try {
         const text = await getSingletonContent();
         const services = await Service.find();
@@ -77,7 +77,7 @@ router.get('/all-editable', auth, async (req, res) => {
 });
 
 // --- FIXED ROLES ROUTE ---
-router.put('/fixed-roles', auth, async (req, res) => {
+router.put('/fixed-roles', requirePermission('content:write'), async (req, res) => {
     try {
         const { fixedRoles } = req.body;
 
@@ -95,7 +95,7 @@ router.put('/fixed-roles', auth, async (req, res) => {
 });
 
 // POST api/content/all-editable (General Text Save)
-router.post('/all-editable', auth, async (req, res) => {
+router.post('/all-editable', requirePermission('content:write'), async (req, res) => {
     const { general, home, about } = req.body; 
     try {
         const updatedContent = await TextContent.findOneAndUpdate(
@@ -111,20 +111,20 @@ router.post('/all-editable', auth, async (req, res) => {
 });
 
 // --- CRUD for Services ---
-router.post('/services', auth, async (req, res) => {
+router.post('/services', requirePermission('content:write'), async (req, res) => {
     try {
         const newService = new Service(req.body);
         await newService.save();
         res.json(newService);
     } catch (err) { console.error(err.message); res.status(500).send('Server Error'); }
 });
-router.put('/services/:id', auth, async (req, res) => {
+router.put('/services/:id', requirePermission('content:write'), async (req, res) => {
     try {
         const service = await Service.findByIdAndUpdate(req.params.id, req.body, { new: true });
         res.json(service);
     } catch (err) { console.error(err.message); res.status(500).send('Server Error'); }
 });
-router.delete('/services/:id', auth, async (req, res) => {
+router.delete('/services/:id', requirePermission('content:write'), async (req, res) => {
     try {
         await Service.findByIdAndDelete(req.params.id);
         res.json({ message: 'Service deleted' });
@@ -132,7 +132,7 @@ router.delete('/services/:id', auth, async (req, res) => {
 });
 
 // --- CRUD for Team ---
-router.post('/team', auth, async (req, res) => {
+router.post('/team', requirePermission('content:write'), async (req, res) => {
     try {
         // Since we updated the Schema, passing req.body directly will now include subgroupLabel
         const newMember = new TeamMember(req.body);
@@ -141,7 +141,7 @@ router.post('/team', auth, async (req, res) => {
     } catch (err) { console.error(err.message); res.status(500).send('Server Error'); }
 });
 
-router.put('/team/:id', auth, async (req, res) => {
+router.put('/team/:id', requirePermission('content:write'), async (req, res) => {
     // ✅ ADDED subgroupLabel to extraction
     const { name, role, bio, img, social, imgScale, imgOffsetX, imgOffsetY, group, subgroup, subgroupLabel } = req.body;
 
@@ -173,7 +173,7 @@ router.put('/team/:id', auth, async (req, res) => {
     }
 });
 
-router.delete('/team/:id', auth, async (req, res) => {
+router.delete('/team/:id', requirePermission('content:write'), async (req, res) => {
     try {
         await TeamMember.findByIdAndDelete(req.params.id);
         res.json({ message: 'Team member deleted' });
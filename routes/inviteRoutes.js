@@ -0,0 +1,162 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Invite from '../models/Invite.js';
+import User from '../models/User.js';
+import transporter, { ADMIN_APP_URL } from '../config/mailer.js';
+import { requirePermission } from '../middleware/auth.js';
+import { ROLES } from '../config/roles.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const router = express.Router();
+
+/* ================= CONFIG ================= */
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+/* ================= HELPERS ================= */
+const pendingQuery = () => ({ acceptedAt: null, revokedAt: null });
+
+const toPublicInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  expiresAt: invite.expiresAt,
+  expired: invite.expiresAt < new Date(),
+  invitedBy: invite.invitedBy,
+  lastSentAt: invite.lastSentAt,
+  createdAt: invite.createdAt,
+});
+
+const expiryFrom = (hours) => {
+  const h = Math.min(MAX_EXPIRY_HOURS, Math.max(1, Number(hours) || DEFAULT_EXPIRY_HOURS));
+  return new Date(Date.now() + h * 60 * 60 * 1000);
+};
+
+// Rotates the token (old links stop working) and emails the new link
+const issueAndSend = async (invite, expiresInHours) => {
+  const token = generateToken();
+  invite.tokenHash = hashToken(token);
+  invite.expiresAt = expiryFrom(expiresInHours);
+  invite.lastSentAt = new Date();
+  await invite.save();
+
+  const link = `${ADMIN_APP_URL}/accept-invite?token=${token}`;
+  await transporter.sendMail({
+    from: process.env.GMAIL_USER,
+    to: invite.email,
+    subject: 'You have been invited to the NEXORA Admin',
+    html: `
+      <p>You have been invited to join the NEXORA admin panel as <strong>${invite.role}</strong>.</p>
+      <p><a href="${link}">Accept the invite and set your password</a></p>
+      <p>This link can be used once and expires on ${invite.expiresAt.toUTCString()}.</p>
+    `,
+  });
+};
+
+/* =========================================================
+   LIST PENDING INVITES
+   GET /api/invites
+========================================================= */
+router.get('/', requirePermission('users:read'), async (_req, res) => {
+  try {
+    const invites = await Invite.find(pendingQuery()).sort({ createdAt: -1 });
+    res.json(invites.map(toPublicInvite));
+  } catch (err) {
+    console.error('LIST INVITES ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   CREATE INVITE
+   POST /api/invites   Body: { email, role, expiresInHours? }
+========================================================= */
+router.post(
+  '/',
+  requirePermission('users:write'),
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES),
+    check('expiresInHours', `Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`)
+      .optional()
+      .isInt({ min: 1, max: MAX_EXPIRY_HOURS }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const email = String(req.body.email).toLowerCase().trim();
+      const { role, expiresInHours } = req.body;
+
+      if (await User.exists({ email }))
+        return res.status(400).json({ message: 'User already exists' });
+
+      if (await Invite.exists({ email, ...pendingQuery() }))
+        return res.status(400).json({ message: 'A pending invite already exists for this email. Resend it instead.' });
+
+      const invite = new Invite({
+        email,
+        role,
+        invitedBy: req.user.id,
+      });
+
+      await issueAndSend(invite, expiresInHours);
+
+      res.status(201).json(toPublicInvite(invite));
+    } catch (err) {
+      console.error('CREATE INVITE ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   RESEND INVITE (new link + fresh expiry)
+   POST /api/invites/:id/resend   Body: { expiresInHours? }
+========================================================= */
+router.post('/:id/resend', requirePermission('users:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid invite id' });
+
+    const invite = await Invite.findOne({ _id: req.params.id, ...pendingQuery() });
+    if (!invite)
+      return res.status(404).json({ message: 'Pending invite not found' });
+
+    await issueAndSend(invite, req.body?.expiresInHours);
+
+    res.json(toPublicInvite(invite));
+  } catch (err) {
+    console.error('RESEND INVITE ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REVOKE INVITE
+   DELETE /api/invites/:id
+========================================================= */
+router.delete('/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid invite id' });
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, ...pendingQuery() },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite)
+      return res.status(404).json({ message: 'Pending invite not found' });
+
+    res.json({ message: 'Invite revoked', id: invite._id });
+  } catch (err) {
+    console.error('REVOKE INVITE ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,33 +1,32 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { check, validationResult } from 'express-validator';
-import nodemailer from 'nodemailer';
-import twilio from 'twilio';
-import auth from '../middleware/auth.js';
-import Message from '../models/Message.js';
+import { requirePermission } from '../middleware/auth.js';
+import Message, { MESSAGE_STATUSES, MESSAGE_PRIORITIES, OPEN_MESSAGE_STATUSES } from '../models/Message.js';
+import User from '../models/User.js';
+import { hasPermission } from '../config/roles.js';
+import { textToHtml } from '../utils/html.js';
+import { spamGuard } from '../middleware/spamGuard.js';
+import { parsePagination, parseSort, searchClause, dateRange, InvalidDateError } from '../utils/listQuery.js';
+import { parseExportOptions, streamExport, ExportOptionsError } from '../utils/export.js';
+import mailer from '../config/mailer.js';
+import { notify } from '../services/notifications/index.js';
+import { acknowledgementEnabled } from '../config/notifications.js';
+import { emitWebhookEvent } from '../services/webhooks/index.js';
+import { linkContact } from '../services/contacts.js';
 
 const router = express.Router();
 
 // ==========================================
-// 1. CONFIGURATION
-// ==========================================
-
-// Initialize Twilio
-const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-
-// Helper: Format phone number for Twilio (E.164 format)
-const formatPhoneNumber = (number) => {
-    if (!number) return '';
-    const cleaned = number.replace(/\D/g, ''); 
-    if (cleaned.length === 10) return `+91${cleaned}`;
-    if (cleaned.length === 12 && cleaned.startsWith('91')) return `+${cleaned}`;
-    return `+${cleaned}`;
-};
-
-// ==========================================
-// 2. POST ROUTE (Public Contact Form)
+// 1. POST ROUTE (Public Contact Form)
 // ==========================================
 router.post(
     '/',
+    spamGuard({
+        form: 'message',
+        textFields: ['name', 'message'],
+        fakeSuccess: { message: 'Message processed successfully' },
+    }),
     [
         check('name', 'Name is required').notEmpty(),
         check('email', 'Please include a valid email').isEmail(),
@@ -47,89 +46,48 @@ router.post(
             // ----------------------------------------------------
             // STEP 1: SAVE TO DATABASE
             // ----------------------------------------------------
-            const newMessage = new Message({ name, email, mobile, message });
-            const savedMessage = await newMessage.save();
-            console.log(`✅ [DB] Message Saved: ${savedMessage._id}`);
+            const { flagged, reasons } = req.spamCheck || {};
 
-            // ----------------------------------------------------
-            // STEP 2: SEND EMAIL (Updated Template)
-            // ----------------------------------------------------
-            try {
-                const transporter = nodemailer.createTransport({
-                    service: "gmail",
-                    auth: {
-                        user: process.env.GMAIL_USER,
-                        pass: process.env.GMAIL_PASS
-                    }
-                });
-
-                const mailOptions = {
-                    from: `"Nexoracrew Form" <${process.env.GMAIL_USER}>`,
-                    to: process.env.GMAIL_USER, 
-                    replyTo: email, // 👈 ALLOWS YOU TO CLICK 'REPLY' TO ANSWER THE USER
-                    subject: `📬 New Inquiry from ${name}`,
-                    html: `
-                        <div style="font-family: Arial, sans-serif; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px; max-width: 600px;">
-                            <h2 style="color: #123165; border-bottom: 2px solid #D4A937; padding-bottom: 10px;">New Contact Message</h2>
-                            
-                            <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">
-                                <tr>
-                                    <td style="padding: 8px 0; font-weight: bold; width: 80px;">👤 Name:</td>
-                                    <td>${name}</td>
-                                </tr>
-                                <tr>
-                                    <td style="padding: 8px 0; font-weight: bold;">📧 Email:</td>
-                                    <td style="color: #1a73e8; font-weight: bold;">${email}</td> </tr>
-                                <tr>
-                                    <td style="padding: 8px 0; font-weight: bold;">📱 Mobile:</td>
-                                    <td>${mobile}</td>
-                                </tr>
-                            </table>
-
-                            <div style="margin-top: 20px;">
-                                <p style="font-weight: bold; margin-bottom: 5px;">💬 Message:</p>
-                                <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #D4A937; border-radius: 4px; font-style: italic;">
-                                    "${message}"
-                                </div>
-                            </div>
-
-                            <br/>
-                            <hr style="border: 0; border-top: 1px solid #eee;" />
-                            <small style="color: #888;">Message ID: ${savedMessage._id}</small>
-                        </div>
-                    `,
-                };
+            const newMessage = new Message({
+                name, email, mobile, message,
+                ...(flagged ? { status: 'spam', spamReasons: reasons } : {}),
+            });
+            const savedMessage = await newMessage.save();
+            console.log(`✅ [DB] Message Saved: ${savedMessage._id}${flagged ? ' (spam)' : ''}`);
 
-                await transporter.sendMail(mailOptions);
-                console.log(`✅ [Email] Sent successfully to ${process.env.GMAIL_USER}`);
+            // Spam never becomes a CRM contact
+            if (!flagged) await linkContact(savedMessage, { kind: 'message', name, email, phone: mobile });
 
-            } catch (emailErr) {
-                console.error(`❌ [Email Failed] Reason: ${emailErr.message}`);
+            // Spam goes straight to the spam folder: no email, no WhatsApp
+            if (flagged) {
+                return res.status(201).json({
+                    message: "Message processed successfully",
+                    data: savedMessage,
+                });
             }
 
             // ----------------------------------------------------
-            // STEP 3: SEND WHATSAPP
+            // STEP 2: QUEUE EMAIL + WHATSAPP (delivered and retried by the notification worker)
+            //         plus the optional confirmation to the sender (ACK_CONTACT_FORM)
             // ----------------------------------------------------
             try {
-                const adminPhone = process.env.ADMIN_PHONE_NUMBER; 
-                const formattedAdminPhone = formatPhoneNumber(adminPhone);
-
-                console.log(`🚀 [Twilio] Sending to: ${formattedAdminPhone}`);
-                
-                const whatsappResponse = await client.messages.create({
-                    from: 'whatsapp:+14155238886', 
-                    to: `whatsapp:${formattedAdminPhone}`,
-                    body: `🔔 *New Inquiry*\n\n👤 *Name:* ${name}\n📧 *Email:* ${email}\n📱 *Mobile:* ${mobile}\n💬 *Msg:* ${message}`
-                });
+                const data = { id: String(savedMessage._id), name, email, mobile, message };
+                const entity = { entityType: 'message', entityId: savedMessage._id };
 
-                console.log(`✅ [Twilio] WhatsApp Sent! SID: ${whatsappResponse.sid}`);
-
-            } catch (twilioError) {
-                console.error(`❌ [Twilio Failed] ${twilioError.message}`);
+                await notify('message.received', data, entity);
+                if (acknowledgementEnabled('message')) {
+                    await notify('message.acknowledgement', data, { ...entity, recipient: { email } });
+                }
+            } catch (notifyErr) {
+                console.error(`❌ [Notify Failed] ${notifyErr.message}`);
             }
 
+            await emitWebhookEvent('message.created', {
+                id: savedMessage._id, name, email, mobile, message, date: savedMessage.date,
+            });
+
             // ----------------------------------------------------
-            // STEP 4: RESPONSE
+            // STEP 3: RESPONSE
             // ----------------------------------------------------
             res.status(201).json({
                 message: "Message processed successfully",
@@ -144,20 +102,155 @@ router.post(
 );
 
 // ==========================================
-// 3. ADMIN ROUTES (Get/Delete)
+// 2. ADMIN ROUTES (Inbox)
 // ==========================================
 
-router.get('/', auth, async (req, res) => {
+// Malformed ids get a 400 instead of a CastError (500)
+const validId = (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ msg: 'Invalid message id' });
+    next();
+};
+
+// Helper: "a,b" or ["a","b"] -> ["a","b"]
+const listParam = (value) =>
+    (Array.isArray(value) ? value : String(value || '').split(','))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+
+// Builds the Mongo filter for the inbox views
+//   ?status=new,in-progress  ?status=spam (spam folder)  ?priority=high  ?label=pricing
+//   ?assignedTo=me|unassigned|<userId>
+//   ?open=true   (new / in-progress / awaiting-reply)
+//   ?mine=true   ("my open items" = assignedTo=me&open=true)
+//   ?read=true|false  ?search=acme  ?from=2024-01-01&to=2024-01-31 (received date)
+// Throws InvalidDateError on a bad from/to.
+const buildInboxQuery = (query, currentUserId) => {
+    const q = {};
+
+    const statuses = listParam(query.status).filter((st) => MESSAGE_STATUSES.includes(st));
+    if (statuses.length) q.status = { $in: statuses };
+    else q.status = { $ne: 'spam' }; // the spam folder is ?status=spam
+
+    const open = String(query.open).toLowerCase() === 'true';
+    const mine = String(query.mine).toLowerCase() === 'true';
+    if ((open || mine) && !statuses.length) q.status = { $in: OPEN_MESSAGE_STATUSES };
+
+    const assignee = mine ? 'me' : query.assignedTo;
+    if (assignee === 'me') q.assignedTo = currentUserId;
+    else if (assignee === 'unassigned') q.assignedTo = null;
+    else if (assignee && mongoose.isValidObjectId(assignee)) q.assignedTo = assignee;
+
+    const priorities = listParam(query.priority).filter((pr) => MESSAGE_PRIORITIES.includes(pr));
+    if (priorities.length) q.priority = { $in: priorities };
+
+    const labels = listParam(query.label).map((l) => l.toLowerCase());
+    if (labels.length) q.labels = { $all: labels };
+
+    if (query.read !== undefined) q.read = String(query.read).toLowerCase() === 'true';
+
+    const search = searchClause(query.search, ['name', 'email', 'mobile', 'message']);
+    if (search) q.$or = search;
+
+    const range = dateRange(query.from, query.to);
+    if (range) q.date = range;
+
+    return q;
+};
+
+// ?sort=-date (default), date, name, email, status, priority
+const MESSAGE_SORT_FIELDS = {
+    date: 'date',
+    name: 'name',
+    email: 'email',
+    status: 'status',
+    priority: 'priority'
+};
+
+const normalizeLabels = (labels) =>
+    Array.from(new Set(listParam(labels).map((l) => l.toLowerCase())));
+
+router.get('/', requirePermission('messages:read'), async (req, res) => {
     try {
-        const messages = await Message.find().sort({ date: -1 });
-        res.json(messages);
+        if (!req.user && (req.query.assignedTo === 'me' || String(req.query.mine).toLowerCase() === 'true')) {
+            return res.status(400).json({ msg: '"me" filters need a signed-in admin, not an API key' });
+        }
+
+        const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+        const sort = parseSort(req.query.sort, MESSAGE_SORT_FIELDS, { date: -1 });
+        const q = buildInboxQuery(req.query, req.user?.id);
+
+        const [total, items] = await Promise.all([
+            Message.countDocuments(q),
+            Message.find(q)
+                .populate('assignedTo', 'email role')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.json({ items, page, limit, total });
     } catch (err) {
+        if (err instanceof InvalidDateError) return res.status(400).json({ msg: err.message });
         console.error(err.message);
         res.status(500).send('Server Error');
     }
 });
 
-router.put('/:id', auth, async (req, res) => {
+// GET /api/messages/export?format=csv|json&tz=Europe/Berlin
+// Same filters and sort as the list above, without pagination
+const MESSAGE_EXPORT_COLUMNS = [
+    { header: 'id', value: (m) => String(m._id) },
+    { header: 'date', value: (m) => m.date },
+    { header: 'name', value: (m) => m.name },
+    { header: 'email', value: (m) => m.email },
+    { header: 'mobile', value: (m) => m.mobile },
+    { header: 'message', value: (m) => m.message },
+    { header: 'status', value: (m) => m.status },
+    { header: 'priority', value: (m) => m.priority },
+    { header: 'labels', value: (m) => m.labels || [] },
+    { header: 'read', value: (m) => Boolean(m.read) },
+    { header: 'assignedTo', value: (m) => m.assignedTo?.email },
+    { header: 'repliedAt', value: (m) => m.repliedAt }
+];
+
+router.get('/export', requirePermission('messages:read'), async (req, res) => {
+    try {
+        if (!req.user && (req.query.assignedTo === 'me' || String(req.query.mine).toLowerCase() === 'true')) {
+            return res.status(400).json({ msg: '"me" filters need a signed-in admin, not an API key' });
+        }
+
+        const { format, timeZone } = parseExportOptions(req.query);
+        const sort = parseSort(req.query.sort, MESSAGE_SORT_FIELDS, { date: -1 });
+        const cursor = Message.find(buildInboxQuery(req.query, req.user?.id))
+            .select('-notes -thread')
+            .populate('assignedTo', 'email')
+            .sort(sort)
+            .lean()
+            .cursor();
+
+        await streamExport(res, { cursor, columns: MESSAGE_EXPORT_COLUMNS, format, timeZone, filename: 'messages' });
+    } catch (err) {
+        if (err instanceof InvalidDateError || err instanceof ExportOptionsError) {
+            return res.status(400).json({ msg: err.message });
+        }
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/:id', requirePermission('messages:read'), validId, async (req, res) => {
+    try {
+        const message = await Message.findById(req.params.id).populate('assignedTo', 'email role');
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+        res.json({ ...message.toJSON(), thread: message.toThread() });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Legacy read/unread toggle used by the admin panel
+router.put('/:id', requirePermission('messages:write'), async (req, res) => {
     try {
         const message = await Message.findById(req.params.id);
         if (!message) return res.status(404).json({ msg: 'Message not found' });
@@ -170,7 +263,190 @@ router.put('/:id', auth, async (req, res) => {
     }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+// Triage: PATCH /api/messages/:id  { status, assignedTo, priority, labels, read }
+router.patch(
+    '/:id',
+    requirePermission('messages:write'),
+    validId,
+    [
+        check('status', `Status must be one of: ${MESSAGE_STATUSES.join(', ')}`).optional().isIn(MESSAGE_STATUSES),
+        check('priority', `Priority must be one of: ${MESSAGE_PRIORITIES.join(', ')}`).optional().isIn(MESSAGE_PRIORITIES),
+        check('assignedTo', 'assignedTo must be a user id, "me" or null').optional({ values: 'null' })
+            .custom((v) => v === 'me' || mongoose.isValidObjectId(v)),
+        check('read', 'read must be true or false').optional().isBoolean(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (req.body.assignedTo === 'me' && !req.user) {
+            return res.status(400).json({ msg: '"me" needs a signed-in admin, not an API key' });
+        }
+
+        try {
+            const message = await Message.findById(req.params.id);
+            if (!message) return res.status(404).json({ msg: 'Message not found' });
+
+            const { status, priority, labels, read } = req.body;
+
+            if (req.body.assignedTo !== undefined) {
+                const assigneeId = req.body.assignedTo === 'me' ? req.user?.id : req.body.assignedTo;
+                if (assigneeId) {
+                    const assignee = await User.findById(assigneeId).select('role');
+                    if (!assignee || !hasPermission(assignee.role, 'messages:read')) {
+                        return res.status(400).json({ msg: 'Assignee must be an admin who can read the inbox' });
+                    }
+                }
+                message.assignedTo = assigneeId || null;
+            }
+
+            if (status) {
+                message.status = status;
+                // Anything past "new" has been looked at
+                if (status !== 'new') message.read = true;
+            }
+            if (priority) message.priority = priority;
+            if (labels !== undefined) message.labels = normalizeLabels(labels);
+            if (read !== undefined) message.read = read === true || read === 'true';
+
+            await message.save();
+            await message.populate('assignedTo', 'email role');
+            res.json(message);
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server Error');
+        }
+    }
+);
+
+// Internal note: POST /api/messages/:id/notes  { body }
+router.post(
+    '/:id/notes',
+    requirePermission('messages:write'),
+    validId,
+    [check('body', 'Note body is required').trim().notEmpty()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const message = await Message.findById(req.params.id);
+            if (!message) return res.status(404).json({ msg: 'Message not found' });
+
+            message.notes.push({
+                body: req.body.body,
+                author: req.user?.id,
+                authorEmail: req.user?.email || req.apiKey?.name,
+            });
+            await message.save();
+
+            res.status(201).json(message.notes[message.notes.length - 1]);
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server Error');
+        }
+    }
+);
+
+// Reply by email: POST /api/messages/:id/replies  { body, subject? }
+router.post(
+    '/:id/replies',
+    requirePermission('messages:write'),
+    validId,
+    [
+        check('body', 'Reply body is required').trim().notEmpty(),
+        check('subject', 'Subject must be text').optional().isString(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const message = await Message.findById(req.params.id);
+            if (!message) return res.status(404).json({ msg: 'Message not found' });
+
+            const { body } = req.body;
+            const subject = req.body.subject?.trim() || 'Re: Your inquiry to Nexoracrew';
+
+            // Thread under our previous reply in the sender's mail client
+            const previous = [...message.thread].reverse().find((e) => e.emailMessageId);
+            const references = message.thread.map((e) => e.emailMessageId).filter(Boolean);
+
+            let info;
+            try {
+                info = await mailer.sendMail({
+                    from: `"Nexoracrew" <${process.env.GMAIL_USER}>`,
+                    to: message.email,
+                    subject,
+                    text: `${body}\n\n---\nYou wrote:\n${message.message}`,
+                    html: `
+                        <div style="font-family: Arial, sans-serif; max-width: 600px;">
+                            ${textToHtml(body)}
+                            <hr style="border: 0; border-top: 1px solid #eee;" />
+                            <p style="color: #888; font-size: 12px;">You wrote:</p>
+                            <blockquote style="color: #555; border-left: 3px solid #D4A937; margin: 0; padding-left: 10px;">
+                                ${textToHtml(message.message)}
+                            </blockquote>
+                        </div>
+                    `,
+                    ...(previous ? { inReplyTo: previous.emailMessageId, references } : {}),
+                });
+            } catch (emailErr) {
+                console.error(`❌ [Reply Failed] ${emailErr.message}`);
+                return res.status(502).json({ msg: 'Reply could not be sent, please try again' });
+            }
+
+            message.thread.push({
+                direction: 'outbound',
+                from: process.env.GMAIL_USER,
+                to: message.email,
+                subject,
+                body,
+                sentBy: req.user?.id,
+                sentByEmail: req.user?.email || req.apiKey?.name,
+                emailMessageId: info?.messageId,
+            });
+            message.status = 'replied';
+            message.read = true;
+            message.repliedAt = new Date();
+            await message.save();
+
+            console.log(`✅ [Reply] Sent to ${message.email} for ${message._id}`);
+            res.status(201).json({ ...message.toJSON(), thread: message.toThread() });
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server Error');
+        }
+    }
+);
+
+router.delete('/:id/notes/:noteId', requirePermission('messages:write'), validId, async (req, res) => {
+    try {
+        const message = await Message.findById(req.params.id);
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+
+        const note = message.notes.id(req.params.noteId);
+        if (!note) return res.status(404).json({ msg: 'Note not found' });
+        if (note.author && req.user && String(note.author) !== req.user.id && !hasPermission(req.user.role, 'messages:delete')) {
+            return res.status(403).json({ msg: 'You can only delete your own notes' });
+        }
+
+        note.deleteOne();
+        await message.save();
+        res.json({ msg: 'Note deleted' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.delete('/:id', requirePermission('messages:delete'), async (req, res) => {
     try {
         const message = await Message.findByIdAndDelete(req.params.id);
         if (!message) return res.status(404).json({ msg: 'Message not found' });
@@ -181,4 +457,4 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -2,8 +2,7 @@
 import express from 'express';
 import Milestone from '../models/Milestone.js';
 
-// FIX: Import the default export 'auth' as 'authMiddleware' or any name
-import authMiddleware from '../middleware/auth.js'; 
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -40,9 +39,9 @@ router.get('/', async (req, res) => {
 // ==========================================================
 // --- CREATE a Milestone (PROTECTED: Used by Admin panel) ---
 // Route: POST /api/milestones
-// Uses the imported default export: authMiddleware
+// Requires the 'milestones:write' permission
 // ==========================================================
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', requirePermission('milestones:write'), async (req, res) => {
     const { key, label, count } = req.body;
     
     if (!key || !label) {
@@ -70,9 +69,9 @@ router.post('/', authMiddleware, async (req, res) => {
 // ==========================================================
 // --- UPDATE a Milestone (PROTECTED: Used by Admin panel) ---
 // Route: PUT /api/milestones/:id
-// Uses the imported default export: authMiddleware
+// Requires the 'milestones:write' permission
 // ==========================================================
-router.put('/:id', authMiddleware, getMilestone, async (req, res) => {
+router.put('/:id', requirePermission('milestones:write'), getMilestone, async (req, res) => {
     const { label, count } = req.body;
     
     if (req.body.key) {
@@ -94,9 +93,9 @@ router.put('/:id', authMiddleware, getMilestone, async (req, res) => {
 // ==========================================================
 // --- DELETE a Milestone (PROTECTED: Used by Admin panel) ---
 // Route: DELETE /api/milestones/:id
-// Uses the imported default export: authMiddleware
+// Requires the 'milestones:write' permission
 // ==========================================================
-router.delete('/:id', authMiddleware, getMilestone, async (req, res) => {
+router.delete('/:id', requirePermission('milestones:write'), getMilestone, async (req, res) => {
     try {
         await Milestone.findByIdAndDelete(req.params.id);
         res.status(200).json({ message: 'Milestone deleted successfully' });
@@ -0,0 +1,270 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_STATUSES } from '../models/Notification.js';
+import NotificationRule from '../models/NotificationRule.js';
+import { requirePermission } from '../middleware/auth.js';
+import { parsePagination } from '../utils/listQuery.js';
+import { isValidTimeZone } from '../utils/zonedTime.js';
+import { kickWorker } from '../services/notifications/index.js';
+import { RULE_FIELDS } from '../services/notifications/routing.js';
+import { NOTIFICATION_EVENTS, EVENT_CHANNELS, adminRecipient } from '../config/notifications.js';
+
+const router = express.Router();
+
+// Entries that are still being worked on can't be resent
+const RESENDABLE_STATUSES = ['failed', 'sent'];
+
+const requeue = {
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: new Date(0),
+  lockedUntil: null,
+};
+
+/* =========================================================
+   LIST OUTBOX
+   GET /api/notifications?status=failed&event=&channel=&page=&limit=
+   Returns { items, page, limit, total }, newest first
+========================================================= */
+router.get('/', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50 });
+
+    const q = {};
+    if (NOTIFICATION_STATUSES.includes(req.query.status)) q.status = req.query.status;
+    if (req.query.event) q.event = String(req.query.event);
+    if (req.query.channel) q.channel = String(req.query.channel);
+    if (req.query.entityId && mongoose.isValidObjectId(req.query.entityId)) q.entityId = req.query.entityId;
+
+    const [total, items] = await Promise.all([
+      Notification.countDocuments(q),
+      Notification.find(q).select('-payload.html').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ]);
+
+    res.json({ items, page, limit, total });
+  } catch (err) {
+    console.error('LIST NOTIFICATIONS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   ROUTING RULES
+   Who is notified about each event, with optional quiet hours.
+   Events without a stored rule use the defaults from config/notifications.js
+   (shown with configured: false).
+========================================================= */
+const RULE_EVENTS = Object.keys(NOTIFICATION_EVENTS);
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PHONE = /^\+?[\d\s()-]{6,20}$/;
+
+const defaultRule = (event) => {
+  const recipient = adminRecipient();
+  const channels = EVENT_CHANNELS[event] || [];
+  const listIf = (channel, value) => (channels.includes(channel) && value ? [value] : []);
+
+  return {
+    event,
+    enabled: true,
+    emails: listIf('email', recipient.email),
+    smsNumbers: listIf('sms', recipient.phone),
+    whatsappNumbers: listIf('whatsapp', recipient.phone),
+    webhookUrls: listIf('webhook', recipient.webhookUrl),
+    quietHours: { enabled: false },
+  };
+};
+
+const toPublicRule = (event, rule) => ({
+  ...(rule
+    ? {
+      event,
+      enabled: rule.enabled,
+      emails: rule.emails,
+      smsNumbers: rule.smsNumbers,
+      whatsappNumbers: rule.whatsappNumbers,
+      webhookUrls: rule.webhookUrls,
+      quietHours: rule.quietHours,
+      updatedAt: rule.updatedAt,
+    }
+    : defaultRule(event)),
+  label: NOTIFICATION_EVENTS[event],
+  configured: Boolean(rule),
+});
+
+const checkEvent = (req, res, next) => {
+  if (!RULE_EVENTS.includes(req.params.event))
+    return res.status(404).json({ message: `Unknown event. Known events: ${RULE_EVENTS.join(', ')}` });
+  next();
+};
+
+/* GET /api/notifications/rules */
+router.get('/rules', requirePermission('notifications:read'), async (_req, res) => {
+  try {
+    const rules = await NotificationRule.find({ event: { $in: RULE_EVENTS } }).lean();
+    const byEvent = new Map(rules.map((r) => [r.event, r]));
+    res.json(RULE_EVENTS.map((event) => toPublicRule(event, byEvent.get(event))));
+  } catch (err) {
+    console.error('LIST NOTIFICATION RULES ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* GET /api/notifications/rules/:event */
+router.get('/rules/:event', requirePermission('notifications:read'), checkEvent, async (req, res) => {
+  try {
+    const rule = await NotificationRule.findOne({ event: req.params.event }).lean();
+    res.json(toPublicRule(req.params.event, rule));
+  } catch (err) {
+    console.error('GET NOTIFICATION RULE ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/*
+   PUT /api/notifications/rules/:event
+   Body: { enabled, emails: [], smsNumbers: [], whatsappNumbers: [], webhookUrls: [],
+           quietHours: { enabled, start: "22:00", end: "07:00", timeZone: "Asia/Kolkata", channels: ["sms", "whatsapp"] } }
+   Replaces the whole rule; omitted lists become empty.
+*/
+router.put(
+  '/rules/:event',
+  requirePermission('notifications:write'),
+  checkEvent,
+  [
+    check('enabled', 'enabled must be true or false').optional().isBoolean(),
+    check(['emails', 'smsNumbers', 'whatsappNumbers', 'webhookUrls'], 'Must be a list').optional().isArray(),
+    check('emails.*', 'Invalid email address').isEmail(),
+    check(['smsNumbers.*', 'whatsappNumbers.*'], 'Invalid phone number').matches(PHONE),
+    check('webhookUrls.*', 'Webhook URLs must be http(s) URLs')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+    check('quietHours.enabled', 'quietHours.enabled must be true or false').optional().isBoolean(),
+    check(['quietHours.start', 'quietHours.end'], 'Quiet hours must be HH:mm')
+      .if(check('quietHours.enabled').equals('true'))
+      .matches(CLOCK),
+    check('quietHours.timeZone', 'Unknown timezone').optional().custom(isValidTimeZone),
+    check('quietHours.channels', 'Must be a list').optional().isArray(),
+    check('quietHours.channels.*', `Channels must be from: ${Object.keys(RULE_FIELDS).join(', ')}`)
+      .isIn(Object.keys(RULE_FIELDS)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { event } = req.params;
+      const body = req.body;
+      const quiet = body.quietHours || {};
+      const unique = (list) => Array.from(new Set((list || []).map((v) => String(v).trim())));
+
+      const rule = (await NotificationRule.findOne({ event })) || new NotificationRule({ event });
+      rule.set({
+        enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+        emails: unique(body.emails).map((e) => e.toLowerCase()),
+        smsNumbers: unique(body.smsNumbers),
+        whatsappNumbers: unique(body.whatsappNumbers),
+        webhookUrls: unique(body.webhookUrls),
+        quietHours: {
+          enabled: quiet.enabled === true || quiet.enabled === 'true',
+          start: quiet.start,
+          end: quiet.end,
+          timeZone: quiet.timeZone || 'UTC',
+          channels: quiet.channels?.length ? unique(quiet.channels) : undefined,
+        },
+        updatedBy: req.user?.id,
+      });
+      await rule.save();
+
+      res.json(toPublicRule(event, rule.toObject()));
+    } catch (err) {
+      console.error('SAVE NOTIFICATION RULE ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* DELETE /api/notifications/rules/:event -> back to the config defaults */
+router.delete('/rules/:event', requirePermission('notifications:write'), checkEvent, async (req, res) => {
+  try {
+    const rule = await NotificationRule.findOne({ event: req.params.event });
+    if (rule) await rule.deleteOne();
+
+    res.json(toPublicRule(req.params.event, null));
+  } catch (err) {
+    console.error('RESET NOTIFICATION RULE ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   ONE ENTRY (with rendered payload and attempt history)
+   GET /api/notifications/:id
+========================================================= */
+router.get('/:id', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid notification id' });
+
+    const notification = await Notification.findById(req.params.id).lean();
+    if (!notification)
+      return res.status(404).json({ message: 'Notification not found' });
+
+    res.json(notification);
+  } catch (err) {
+    console.error('GET NOTIFICATION ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   RESEND EVERY FAILED ENTRY
+   POST /api/notifications/resend-failed   Body: { event?, channel? }
+========================================================= */
+router.post('/resend-failed', requirePermission('notifications:write'), async (req, res) => {
+  try {
+    const q = { status: 'failed' };
+    if (req.body?.event) q.event = String(req.body.event);
+    if (req.body?.channel) q.channel = String(req.body.channel);
+
+    const result = await Notification.updateMany(q, { $set: requeue });
+    kickWorker();
+
+    res.json({ message: 'Failed notifications queued again', count: result.modifiedCount });
+  } catch (err) {
+    console.error('RESEND FAILED NOTIFICATIONS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   RESEND ONE ENTRY
+   POST /api/notifications/:id/resend
+========================================================= */
+router.post('/:id/resend', requirePermission('notifications:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid notification id' });
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: RESENDABLE_STATUSES } },
+      { $set: requeue },
+      { new: true }
+    );
+
+    if (!notification) {
+      const exists = await Notification.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Notification is already queued' })
+        : res.status(404).json({ message: 'Notification not found' });
+    }
+
+    kickWorker();
+    res.json(notification);
+  } catch (err) {
+    console.error('RESEND NOTIFICATION ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
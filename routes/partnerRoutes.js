@@ -1,6 +1,6 @@
 import express from 'express';
 import Partner from '../models/Partner.js';
-import auth from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -20,7 +20,7 @@ router.get('/', async (req, res) => {
 // @route   POST /api/partners
 // @desc    Add a new partner
 // @access  Private (Admin)
-router.post('/', auth, async (req, res) => {
+router.post('/', requirePermission('partners:write'), async (req, res) => {
   const { name, logoUrl } = req.body;
 
   // Basic validation
@@ -45,7 +45,7 @@ router.post('/', auth, async (req, res) => {
 // @route   PUT /api/partners/:id
 // @desc    Update a partner
 // @access  Private (Admin)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', requirePermission('partners:write'), async (req, res) => {
   const { name, logoUrl } = req.body;
 
   try {
@@ -66,7 +66,7 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE /api/partners/:id
 // @desc    Delete a partner
 // @access  Private (Admin)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', requirePermission('partners:write'), async (req, res) => {
   try {
     const partner = await Partner.findById(req.params.id);
     if (!partner) return res.status(404).json({ msg: 'Partner notfound' });
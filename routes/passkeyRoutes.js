@@ -0,0 +1,322 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import User from '../models/User.js';
+import auth from '../middleware/auth.js';
+import { loginLimiter } from '../middleware/rateLimit.js';
+import { RP_NAME, RP_ID, EXPECTED_ORIGINS, CHALLENGE_TTL_MS } from '../config/webauthn.js';
+import { checkLockout, recordFailure, clearFailures } from '../utils/loginAttempts.js';
+import { createSession } from '../utils/sessions.js';
+
+const router = express.Router();
+
+/* ================= HELPERS ================= */
+const setChallenge = (user, challenge) => {
+  user.webauthnChallenge = challenge;
+  user.webauthnChallengeExpiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+};
+
+// Returns the pending challenge and clears it, so each one is used at most once
+const takeChallenge = (user) => {
+  const challenge = user.webauthnChallenge;
+  const valid = challenge && user.webauthnChallengeExpiresAt > new Date();
+  user.webauthnChallenge = null;
+  user.webauthnChallengeExpiresAt = null;
+  return valid ? challenge : null;
+};
+
+const toPublicPasskey = (pk) => ({
+  id: pk._id,
+  name: pk.name,
+  deviceType: pk.deviceType,
+  backedUp: pk.backedUp,
+  transports: pk.transports,
+  createdAt: pk.createdAt,
+  lastUsedAt: pk.lastUsedAt,
+});
+
+/* =========================================================
+   LIST MY PASSKEYS
+   GET /api/auth/passkeys
+========================================================= */
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: 'User not found' });
+
+    res.json((user.passkeys || []).map(toPublicPasskey));
+  } catch (err) {
+    console.error('LIST PASSKEYS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REGISTRATION STEP 1 → CREATION OPTIONS
+   POST /api/auth/passkeys/register/options
+   Pass the result to navigator.credentials.create()
+   (e.g. startRegistration() from @simplewebauthn/browser)
+========================================================= */
+router.post('/register/options', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user)
+      return res.status(404).json({ message: 'User not found' });
+
+    const options = await generateRegistrationOptions({
+      rpName: RP_NAME,
+      rpID: RP_ID,
+      userID: Buffer.from(String(user._id)),
+      userName: user.email,
+      attestationType: 'none',
+      excludeCredentials: (user.passkeys || []).map((pk) => ({
+        id: pk.credentialId,
+        transports: pk.transports,
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'required',
+      },
+    });
+
+    setChallenge(user, options.challenge);
+    await user.save();
+
+    res.json(options);
+  } catch (err) {
+    console.error('PASSKEY REGISTER OPTIONS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REGISTRATION STEP 2 → VERIFY + STORE CREDENTIAL
+   POST /api/auth/passkeys/register/verify   Body: { response, name? }
+========================================================= */
+router.post(
+  '/register/verify',
+  auth,
+  [check('response', 'Authenticator response is required').isObject()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user)
+        return res.status(404).json({ message: 'User not found' });
+
+      const expectedChallenge = takeChallenge(user);
+      if (!expectedChallenge) {
+        await user.save();
+        return res.status(400).json({ message: 'Registration expired, please start again' });
+      }
+
+      let verification;
+      try {
+        verification = await verifyRegistrationResponse({
+          response: req.body.response,
+          expectedChallenge,
+          expectedOrigin: EXPECTED_ORIGINS,
+          expectedRPID: RP_ID,
+          requireUserVerification: true,
+        });
+      } catch (verifyErr) {
+        await user.save();
+        return res.status(400).json({ message: `Passkey could not be verified: ${verifyErr.message}` });
+      }
+
+      if (!verification.verified) {
+        await user.save();
+        return res.status(400).json({ message: 'Passkey could not be verified' });
+      }
+
+      const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+      if (await User.exists({ 'passkeys.credentialId': credential.id })) {
+        await user.save();
+        return res.status(400).json({ message: 'This passkey is already registered' });
+      }
+
+      user.passkeys.push({
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports || req.body.response?.response?.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name: req.body.name ? String(req.body.name).trim().slice(0, 60) : undefined,
+      });
+      await user.save();
+
+      res.status(201).json(toPublicPasskey(user.passkeys[user.passkeys.length - 1]));
+    } catch (err) {
+      console.error('PASSKEY REGISTER VERIFY ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   REMOVE A PASSKEY
+   DELETE /api/auth/passkeys/:id
+========================================================= */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(400).json({ message: 'Invalid passkey id' });
+
+    const result = await User.updateOne(
+      { _id: req.user.id },
+      { $pull: { passkeys: { _id: req.params.id } } }
+    );
+    if (!result.modifiedCount)
+      return res.status(404).json({ message: 'Passkey not found' });
+
+    res.json({ message: 'Passkey removed', id: req.params.id });
+  } catch (err) {
+    console.error('REMOVE PASSKEY ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   LOGIN STEP 1 → REQUEST OPTIONS
+   POST /api/auth/passkeys/login/options   Body: { email }
+   Pass the result to navigator.credentials.get()
+   (e.g. startAuthentication() from @simplewebauthn/browser)
+========================================================= */
+router.post(
+  '/login/options',
+  loginLimiter,
+  [check('email', 'Please include a valid email').isEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { email } = req.body;
+
+      const user = await User.findOne({ email });
+      if (!user || !user.passkeys?.length)
+        return res.status(400).json({ message: 'No passkey registered for this account' });
+
+      const options = await generateAuthenticationOptions({
+        rpID: RP_ID,
+        allowCredentials: user.passkeys.map((pk) => ({
+          id: pk.credentialId,
+          transports: pk.transports,
+        })),
+        userVerification: 'required',
+      });
+
+      setChallenge(user, options.challenge);
+      await user.save();
+
+      res.json(options);
+    } catch (err) {
+      console.error('PASSKEY LOGIN OPTIONS ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/* =========================================================
+   LOGIN STEP 2 → VERIFY ASSERTION + JWT
+   POST /api/auth/passkeys/login/verify   Body: { email, response }
+   Issues the same tokens as /api/auth/verify-otp
+========================================================= */
+router.post(
+  '/login/verify',
+  loginLimiter,
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('response', 'Authenticator response is required').isObject(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { email, response } = req.body;
+
+      const { locked, retryAfter } = await checkLockout(email, req.ip);
+      if (locked) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: 'Too many failed attempts. Try again later.', retryAfter });
+      }
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        await recordFailure(email, req.ip, 'unknown email');
+        return res.status(400).json({ message: 'Passkey login failed' });
+      }
+
+      const passkey = (user.passkeys || []).find((pk) => pk.credentialId === response.id);
+      const expectedChallenge = takeChallenge(user);
+      await user.save();
+
+      if (!passkey || !expectedChallenge) {
+        await recordFailure(email, req.ip, 'unknown passkey or expired challenge');
+        return res.status(400).json({ message: 'Passkey login failed' });
+      }
+
+      let verification;
+      try {
+        verification = await verifyAuthenticationResponse({
+          response,
+          expectedChallenge,
+          expectedOrigin: EXPECTED_ORIGINS,
+          expectedRPID: RP_ID,
+          credential: {
+            id: passkey.credentialId,
+            publicKey: new Uint8Array(passkey.publicKey),
+            counter: passkey.counter,
+            transports: passkey.transports,
+          },
+          requireUserVerification: true,
+        });
+      } catch (verifyErr) {
+        console.warn('Passkey assertion rejected:', verifyErr.message);
+        verification = { verified: false };
+      }
+
+      if (!verification.verified) {
+        await recordFailure(email, req.ip, 'invalid passkey assertion');
+        return res.status(401).json({ message: 'Passkey login failed' });
+      }
+
+      // The sign counter guards against cloned authenticators
+      await User.updateOne(
+        { _id: user._id, 'passkeys._id': passkey._id },
+        {
+          $set: {
+            'passkeys.$.counter': verification.authenticationInfo.newCounter,
+            'passkeys.$.backedUp': verification.authenticationInfo.credentialBackedUp,
+            'passkeys.$.lastUsedAt': new Date(),
+          },
+        }
+      );
+      await clearFailures(email, req.ip);
+
+      const tokens = await createSession(user, req);
+
+      res.json({ ...tokens, message: 'Login successful' });
+    } catch (err) {
+      console.error('PASSKEY LOGIN VERIFY ERROR:', err);
+      res.status(500).json({ message: 'Server error during verification' });
+    }
+  }
+);
+
+export default router;
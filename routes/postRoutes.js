@@ -1,6 +1,7 @@
 import express from 'express';
-import auth from '../middleware/auth.js'; 
+import { requirePermission } from '../middleware/auth.js'; 
 import Post from '../models/Post.js'; 
+import { emitWebhookEvent } from '../services/webhooks/index.js';
 
 const router = express.Router();
 
@@ -20,10 +21,12 @@ router.get('/', async (req, res) => {
 // @route   POST api/posts
 // @desc    Create a new blog post
 // @access  Private
-router.post('/', auth, async (req, res) => {
+router.post('/', requirePermission('posts:write'), async (req, res) => {
     try {
         const newPost = new Post(req.body);
         await newPost.save();
+        // Posts have no drafts: saving one publishes it
+        await emitWebhookEvent('post.published', newPost.toJSON());
         res.status(201).json(newPost);
     } catch (err) {
         console.error(err.message);
@@ -34,7 +37,7 @@ router.post('/', auth, async (req, res) => {
 // @route   PUT api/posts/:id
 // @desc    Update a blog post
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', requirePermission('posts:write'), async (req, res) => {
     try {
         const post = await Post.findByIdAndUpdate(req.params.id, req.body, { new: true });
         res.json(post);
@@ -47,7 +50,7 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE api/posts/:id
 // @desc    Delete a blog post
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', requirePermission('posts:write'), async (req, res) => {
     try {
         const post = await Post.findByIdAndDelete(req.params.id);
         if (!post) return res.status(404).json({ msg: 'Post not found' });
@@ -3,7 +3,8 @@ import express from "express";
 import mongoose from "mongoose";
 import Project from "../models/Project.js";
 import Tag from "../models/Tag.js";
-import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
+import { emitWebhookEvent } from "../services/webhooks/index.js";
 
 const router = express.Router();
 
@@ -138,10 +139,10 @@ router.get("/:id", async (req, res) => {
 
 /* ------------------------------------------------------------------
    POST /api/projects
-   Protected by auth middleware
+   Requires the "projects:write" permission
    Body: { title, description, imageUrl, projectUrl, tags }
 ------------------------------------------------------------------ */
-router.post("/", auth, async (req, res) => {
+router.post("/", requirePermission("projects:write"), async (req, res) => {
   try {
     const { title, description, imageUrl, projectUrl, tags } = req.body || {};
 
@@ -161,6 +162,7 @@ router.post("/", auth, async (req, res) => {
 
     const saved = await project.save();
     console.log("POST /api/projects created:", saved._id);
+    await emitWebhookEvent("project.created", saved.toJSON());
     return res.status(201).json(saved);
   } catch (err) {
     console.error("POST /api/projects error:", err && err.stack ? err.stack : err);
@@ -170,10 +172,10 @@ router.post("/", auth, async (req, res) => {
 
 /* ------------------------------------------------------------------
    PUT /api/projects/:id
-   Protected by auth middleware
+   Requires the "projects:write" permission
    Body fields are optional; tags will be normalized
 ------------------------------------------------------------------ */
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", requirePermission("projects:write"), async (req, res) => {
   try {
     const id = req.params.id;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: "Invalid project id" });
@@ -204,9 +206,9 @@ router.put("/:id", auth, async (req, res) => {
 
 /* ------------------------------------------------------------------
    DELETE /api/projects/:id
-   Protected by auth middleware
+   Requires the "projects:write" permission
 ------------------------------------------------------------------ */
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", requirePermission("projects:write"), async (req, res) => {
   try {
     const id = req.params.id;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: "Invalid project id" });
@@ -1,25 +1,162 @@
 import express from 'express';
-import nodemailer from 'nodemailer';
-import twilio from 'twilio';
-import Schedule from '../models/Schedule.js';
-import auth from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import Schedule, { SCHEDULE_STATUSES, STATUS_TRANSITIONS, canTransition } from '../models/Schedule.js';
+import AvailabilitySettings from '../models/AvailabilitySettings.js';
+import { requirePermission } from '../middleware/auth.js';
+import { spamGuard } from '../middleware/spamGuard.js';
+import { notify } from '../services/notifications/index.js';
+import { acknowledgementEnabled } from '../config/notifications.js';
+import { emitWebhookEvent } from '../services/webhooks/index.js';
+import { linkContact } from '../services/contacts.js';
+import { parsePagination, parseSort, searchClause, dateRange, InvalidDateError } from '../utils/listQuery.js';
+import { parseExportOptions, streamExport, ExportOptionsError } from '../utils/export.js';
+import {
+    getAvailabilitySettings,
+    listSlots,
+    checkSlot,
+    busyIntervals,
+    meetingInterval,
+    findClash,
+    calendarDay,
+} from '../services/availability.js';
+import { meetingTimes, meetingTimeFields, localTime, parseRequestedStart } from '../services/meetingTimes.js';
+import { isValidTimeZone, zonedParts, addDays } from '../utils/zonedTime.js';
+import { meetingInvite, meetingFeed, feedTokenValid } from '../services/meetingCalendar.js';
+import { manageUrl, verifyManageToken, manageLinkValid } from '../services/meetingManage.js';
+import { publicLinkLimiter } from '../middleware/rateLimit.js';
+import { actorFrom } from '../utils/audit.js';
 
 const router = express.Router();
-const ALLOWED_STATUSES = ['pending', 'confirmed', 'cancelled'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_AVAILABILITY_DAYS = 31;
+// The calendar feed shows confirmed meetings from this many days back onwards
+const FEED_PAST_DAYS = 90;
+
+// Only open meetings can still be cancelled or moved by anyone
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+// ?tz= picks the zone team-facing times are shown in (default: the business zone)
+router.use((req, res, next) => {
+    if (req.query.tz !== undefined && !isValidTimeZone(String(req.query.tz))) {
+        return res.status(400).json({ msg: 'tz must be an IANA time zone (e.g. Europe/Berlin).' });
+    }
+    next();
+});
+
+// Malformed ids get a 400 instead of a CastError (500)
+const validId = (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ msg: 'Invalid schedule id' });
+    next();
+};
+
+const adminTimeZone = (req, settings) => (req.query.tz ? String(req.query.tz) : settings.timeZone);
+
+// API view of a meeting: the stored document plus its time for the requester and the admin
+const presentSchedule = (schedule, timeZone) => ({
+    ...(typeof schedule.toObject === 'function' ? schedule.toObject() : schedule),
+    times: meetingTimes(schedule, timeZone),
+});
+
+// Template data shared by team and requester emails (times are added per audience)
+const meetingEmailBase = (schedule) => ({
+    id: String(schedule._id),
+    name: schedule.name,
+    companyName: schedule.companyName,
+    role: schedule.role,
+    email: schedule.email,
+    mobile: schedule.mobile,
+    message: schedule.message,
+});
+
+// Team emails show the business zone (and the requester's own time when it differs)
+const teamEmailData = (schedule, settings, extra = {}) => ({
+    ...meetingEmailBase(schedule),
+    ...meetingTimeFields(schedule, settings.timeZone),
+    ...extra,
+});
+
+// Requester emails show their own zone; open meetings carry their manage link
+const requesterEmailData = (schedule, settings, extra = {}) => ({
+    ...meetingEmailBase(schedule),
+    ...meetingTimeFields(schedule, schedule.timeZone),
+    ...(OPEN_STATUSES.includes(schedule.status) ? { manageUrl: manageUrl(schedule) } : {}),
+    ...extra,
+});
+
+// Queue one of the requester's emails; a failure is logged, never thrown
+const notifyRequester = async (event, schedule, settings, extra = {}) => {
+    try {
+        await notify(event, requesterEmailData(schedule, settings, extra), {
+            entityType: 'schedule',
+            entityId: schedule._id,
+            recipient: { email: schedule.email },
+        });
+    } catch (notifyErr) {
+        console.error('⚠️ Notification enqueue failed:', notifyErr.message);
+    }
+};
+
+// Queue a team notification about a meeting; a failure is logged, never thrown
+const notifyTeam = async (event, schedule, settings, extra = {}) => {
+    try {
+        await notify(event, teamEmailData(schedule, settings, extra), { entityType: 'schedule', entityId: schedule._id });
+    } catch (notifyErr) {
+        console.error('⚠️ Notification enqueue failed:', notifyErr.message);
+    }
+};
+
+const emitStatusChanged = (schedule, from, reason) =>
+    emitWebhookEvent('schedule.status_changed', {
+        id: schedule._id,
+        name: schedule.name,
+        companyName: schedule.companyName,
+        email: schedule.email,
+        startsAt: schedule.startsAt,
+        durationMinutes: schedule.durationMinutes,
+        timeZone: schedule.timeZone,
+        from,
+        to: schedule.status,
+        reason: reason || undefined,
+    });
 
 // -------------------------------------------------------------
 //  POST /api/schedule (Submit Meeting Request)
+//  The time is either startsAt (ISO with offset) or meetingDate + meetingTime
+//  in the requester's timeZone (IANA, default: the business zone).
 // -------------------------------------------------------------
-router.post('/', async (req, res) => {
+router.post('/', spamGuard({
+    form: 'schedule',
+    textFields: ['name', 'companyName', 'role', 'message'],
+    fakeSuccess: { msg: 'Meeting request submitted successfully' },
+}), async (req, res) => {
     try {
-        const { name, companyName, role, mobile, email, message, meetingDate, meetingTime } = req.body;
+        const { name, companyName, role, mobile, email, message } = req.body;
 
         // 1️⃣ VALIDATION
-        if (!name || !companyName || !email || !meetingDate || !meetingTime) {
+        if (!name || !companyName || !email || (!req.body.startsAt && (!req.body.meetingDate || !req.body.meetingTime))) {
             return res.status(400).json({ msg: 'Please include required fields: name, companyName, email, meetingDate, meetingTime.' });
         }
 
-        // 2️⃣ SAVE TO DATABASE
+        const settings = await getAvailabilitySettings();
+        const timeZone = req.body.timeZone ? String(req.body.timeZone) : settings.timeZone;
+        if (!isValidTimeZone(timeZone)) {
+            return res.status(400).json({ msg: 'timeZone must be an IANA time zone (e.g. Europe/Berlin).' });
+        }
+        const requested = parseRequestedStart(req.body, timeZone);
+        if (requested.error) return res.status(400).json({ msg: requested.error });
+
+        // 2️⃣ THE SLOT MUST BE OPEN (working hours, notice, no clash with a confirmed meeting).
+        //    Spam is not checked: it never blocks a slot and gets the usual fake success.
+        if (!req.spamCheck?.flagged) {
+            const slot = await checkSlot({ startsAt: requested.startsAt, settings });
+            if (!slot.ok) {
+                return res.status(409).json({ msg: 'The requested meeting time is not available.', reason: slot.reason });
+            }
+        }
+
+        // 3️⃣ SAVE TO DATABASE AND MATCH THE CRM CONTACT (not for spam)
         const newSchedule = new Schedule({
             name,
             companyName,
@@ -27,117 +164,37 @@ router.post('/', async (req, res) => {
             mobile,
             email,
             message,
-            meetingDate,
-            meetingTime
+            startsAt: requested.startsAt,
+            durationMinutes: settings.slotMinutes,
+            timeZone,
+            history: [{ type: 'status', to: 'pending', actor: actorFrom(req) }],
+            ...(req.spamCheck?.flagged ? { spam: true, spamReasons: req.spamCheck.reasons } : {})
         });
         const savedSchedule = await newSchedule.save();
-        console.log(`📅 Meeting Saved: ${savedSchedule._id}`);
+        console.log(`📅 Meeting Saved: ${savedSchedule._id}${savedSchedule.spam ? ' (spam)' : ''}`);
 
-        // Helper: Format Date for readability
-        const formattedDate = new Date(meetingDate).toDateString();
+        if (!savedSchedule.spam) {
+            await linkContact(savedSchedule, { kind: 'meeting', name, email, phone: mobile, companyName, role });
+        }
 
-        // 3️⃣ SEND EMAIL NOTIFICATION (Nodemailer)
-        // Updated to include ALL model data
-        try {
-            const transporter = nodemailer.createTransport({
-                service: "gmail",
-                auth: {
-                    user: process.env.GMAIL_USER,
-                    pass: process.env.GMAIL_PASS
-                }
-            });
+        // Spam is kept for review but nobody gets notified
+        if (savedSchedule.spam) {
+            return res.status(201).json({ msg: 'Meeting request submitted successfully', schedule: presentSchedule(savedSchedule, settings.timeZone) });
+        }
 
-            const mailOptions = {
-                from: `"Nexoracrew Scheduler" <${process.env.GMAIL_USER}>`,
-                to: process.env.GMAIL_USER, // Send to Admin
-                subject: "📅 New Meeting Request - Nexoracrew",
-                html: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #333;">New Meeting Request</h2>
-                        <p>A new meeting has been scheduled via the portal.</p>
-                        
-                        <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
-                            <tr style="background-color: #f8f9fa;">
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Status:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd; color: orange;">Pending</td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Name:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${name}</td>
-                            </tr>
-                            <tr style="background-color: #f8f9fa;">
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Company:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${companyName}</td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Role:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${role || 'N/A'}</td>
-                            </tr>
-                            <tr style="background-color: #f8f9fa;">
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Email:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;"><a href="mailto:${email}">${email}</a></td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Mobile:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${mobile || 'N/A'}</td>
-                            </tr>
-                            <tr style="background-color: #f8f9fa;">
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Date:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${formattedDate}</td>
-                            </tr>
-                            <tr>
-                                <td style="padding: 10px; border: 1px solid #ddd;"><strong>Time:</strong></td>
-                                <td style="padding: 10px; border: 1px solid #ddd;">${meetingTime}</td>
-                            </tr>
-                        </table>
-
-                        <div style="margin-top: 20px; padding: 15px; background-color: #f1f1f1; border-left: 5px solid #007bff;">
-                            <strong>📝 Message:</strong><br/>
-                            <p style="margin-top: 5px;">${message || 'No additional message provided.'}</p>
-                        </div>
-                        
-                        <p style="font-size: 12px; color: #888; margin-top: 30px;">Request ID: ${savedSchedule._id}</p>
-                    </div>
-                `,
-            };
-
-            await transporter.sendMail(mailOptions);
-            console.log(`📨 Schedule Email Sent to Admin`);
-        } catch (emailErr) {
-            console.error("⚠️ Email Failed:", emailErr.message);
-        }
-
-        // 4️⃣ SEND WHATSAPP NOTIFICATION (Twilio)
-        // Updated to include ALL model data
-        try {
-            const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-            
-            // Constructing a detailed WhatsApp message
-            const whatsappBody = `📅 *New Meeting Request - Nexoracrew*\n\n` +
-                `👤 *Name:* ${name}\n` +
-                `🏢 *Company:* ${companyName}\n` +
-                `💼 *Role:* ${role || 'N/A'}\n` +
-                `📧 *Email:* ${email}\n` +
-                `📱 *Mobile:* ${mobile || 'N/A'}\n` +
-                `------------------\n` +
-                `🗓 *Date:* ${formattedDate}\n` +
-                `⏰ *Time:* ${meetingTime}\n` +
-                `📊 *Status:* Pending\n` +
-                `------------------\n` +
-                `📝 *Message:* ${message || 'No message'}`;
-
-            await client.messages.create({
-                from: 'whatsapp:+14155238886', // Sandbox Number
-                to: `whatsapp:${process.env.ADMIN_PHONE_NUMBER}`, // Your Verified Number
-                body: whatsappBody
-            });
-            console.log(`✅ WhatsApp Schedule Notification Sent`);
-        } catch (whatsappError) {
-            console.error("⚠️ WhatsApp Failed:", whatsappError.message);
+        // 4️⃣ QUEUE EMAIL + WHATSAPP NOTIFICATIONS (delivered and retried by the notification worker)
+        //    plus the optional confirmation to the requester (ACK_SCHEDULE_FORM) with their manage link
+        await notifyTeam('schedule.requested', savedSchedule, settings);
+        if (acknowledgementEnabled('schedule')) {
+            await notifyRequester('schedule.acknowledgement', savedSchedule, settings);
         }
 
         // 5️⃣ RETURN SUCCESS
-        return res.status(201).json({ msg: 'Meeting request submitted successfully', schedule: savedSchedule });
+        return res.status(201).json({
+            msg: 'Meeting request submitted successfully',
+            schedule: presentSchedule(savedSchedule, settings.timeZone),
+            manageUrl: manageUrl(savedSchedule),
+        });
 
     } catch (err) {
         console.error('❌ POST /api/schedule error:', err);
@@ -146,26 +203,405 @@ router.post('/', async (req, res) => {
 });
 
 // -------------------------------------------------------------
-//  GET /api/schedule (Admin Only)
+//  Admin list filters
+//   ?status=pending,confirmed  ?spam=true (spam folder)  ?search=acme
+//   ?from=2024-01-01&to=2024-01-31 (submitted date, or meeting date with ?dateField=meeting)
+//   Throws InvalidDateError on a bad from/to.
+// -------------------------------------------------------------
+const buildScheduleQuery = (query) => {
+    // ?spam=true lists the spam folder instead
+    const spam = String(query.spam).toLowerCase() === 'true';
+    const q = { spam: spam ? true : { $ne: true } };
+
+    const statuses = String(query.status || '')
+        .split(',')
+        .map((st) => st.trim())
+        .filter((st) => SCHEDULE_STATUSES.includes(st));
+    if (statuses.length) q.status = { $in: statuses };
+
+    const search = searchClause(query.search, ['name', 'email', 'companyName', 'role', 'message']);
+    if (search) q.$or = search;
+
+    const range = dateRange(query.from, query.to);
+    if (range) q[query.dateField === 'meeting' ? 'startsAt' : 'dateSubmitted'] = range;
+
+    return q;
+};
+
+// ?sort=-dateSubmitted (default), dateSubmitted, startsAt (alias: meetingDate), name, companyName, status
+const SCHEDULE_SORT_FIELDS = {
+    dateSubmitted: 'dateSubmitted',
+    startsAt: 'startsAt',
+    meetingDate: 'startsAt',
+    name: 'name',
+    companyName: 'companyName',
+    status: 'status',
+};
+
+// -------------------------------------------------------------
+//  GET /api/schedule?tz=Europe/Berlin (Admin Only) -> { items, page, limit, total }
+//  Each item has `times` in the requester's zone and in ?tz (default: the business zone)
 // -------------------------------------------------------------
-router.get('/', auth, async (req, res) => {
+router.get('/', requirePermission('schedule:read'), async (req, res) => {
     try {
-        const schedules = await Schedule.find().sort({ dateSubmitted: -1 });
-        return res.json(schedules);
+        const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+        const sort = parseSort(req.query.sort, SCHEDULE_SORT_FIELDS, { dateSubmitted: -1 });
+        const q = buildScheduleQuery(req.query);
+
+        const [total, items, settings] = await Promise.all([
+            Schedule.countDocuments(q),
+            Schedule.find(q).sort(sort).skip(skip).limit(limit).lean(),
+            getAvailabilitySettings(),
+        ]);
+
+        const timeZone = adminTimeZone(req, settings);
+        return res.json({ items: items.map((s) => presentSchedule(s, timeZone)), page, limit, total });
     } catch (err) {
+        if (err instanceof InvalidDateError) return res.status(400).json({ msg: err.message });
         console.error('GET /api/schedule error:', err);
         return res.status(500).send('Server Error');
     }
 });
 
+// -------------------------------------------------------------
+//  GET /api/schedule/export?format=csv|json&tz=Europe/Berlin (Admin Only)
+//  Same filters and sort as the list above, without pagination
+// -------------------------------------------------------------
+const SCHEDULE_EXPORT_COLUMNS = [
+    { header: 'id', value: (s) => String(s._id) },
+    { header: 'dateSubmitted', value: (s) => s.dateSubmitted },
+    { header: 'name', value: (s) => s.name },
+    { header: 'companyName', value: (s) => s.companyName },
+    { header: 'role', value: (s) => s.role },
+    { header: 'email', value: (s) => s.email },
+    { header: 'mobile', value: (s) => s.mobile },
+    { header: 'message', value: (s) => s.message },
+    // startsAt is rendered in ?tz like the other dates; requesterTime is the requester's own clock
+    { header: 'startsAt', value: (s) => s.startsAt },
+    { header: 'durationMinutes', value: (s) => s.durationMinutes },
+    { header: 'requesterTimeZone', value: (s) => s.timeZone },
+    { header: 'requesterTime', value: (s) => localTime(s.startsAt, s.timeZone).label },
+    { header: 'status', value: (s) => s.status },
+];
+
+router.get('/export', requirePermission('schedule:read'), async (req, res) => {
+    try {
+        const { format, timeZone } = parseExportOptions(req.query);
+        const sort = parseSort(req.query.sort, SCHEDULE_SORT_FIELDS, { dateSubmitted: -1 });
+        const cursor = Schedule.find(buildScheduleQuery(req.query)).sort(sort).lean().cursor();
+
+        await streamExport(res, { cursor, columns: SCHEDULE_EXPORT_COLUMNS, format, timeZone, filename: 'meetings' });
+    } catch (err) {
+        if (err instanceof InvalidDateError || err instanceof ExportOptionsError) {
+            return res.status(400).json({ msg: err.message });
+        }
+        console.error('GET /api/schedule/export error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
+// -------------------------------------------------------------
+//  GET /api/schedule/availability?from=2024-06-03&to=2024-06-07&tz=Europe/Berlin (Public)
+//  Open slots, days in the business time zone (default: the next 14 days,
+//  at most 31). -> { timeZone, slotMinutes, from, to, slots: [{ date, time, startsAt, endsAt, local? }] }
+//  With ?tz each slot also has local: { date, time } in the visitor's zone.
+// -------------------------------------------------------------
+router.get('/availability', async (req, res) => {
+    try {
+        const settings = await getAvailabilitySettings();
+        const today = zonedParts(new Date(), settings.timeZone).date;
+        const from = req.query.from ? String(req.query.from) : today;
+        const to = req.query.to ? String(req.query.to) : addDays(from, 13);
+
+        if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || !calendarDay(from) || !calendarDay(to)) {
+            return res.status(400).json({ msg: 'from and to must be dates (YYYY-MM-DD).' });
+        }
+        if (to < from) return res.status(400).json({ msg: 'to must not be before from.' });
+        if (to > addDays(from, MAX_AVAILABILITY_DAYS - 1)) {
+            return res.status(400).json({ msg: `At most ${MAX_AVAILABILITY_DAYS} days can be requested at once.` });
+        }
+
+        const slots = await listSlots({ fromDay: from < today ? today : from, toDay: to, settings });
+        const visitorZone = req.query.tz ? String(req.query.tz) : null;
+        return res.json({
+            timeZone: settings.timeZone,
+            slotMinutes: settings.slotMinutes,
+            from,
+            to,
+            slots: visitorZone
+                ? slots.map((slot) => {
+                    const { date, time } = localTime(slot.startsAt, visitorZone);
+                    return { ...slot, local: { timeZone: visitorZone, date, time } };
+                })
+                : slots,
+        });
+    } catch (err) {
+        console.error('GET /api/schedule/availability error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
+// -------------------------------------------------------------
+//  GET /api/schedule/availability/settings (Admin Only)
+// -------------------------------------------------------------
+router.get('/availability/settings', requirePermission('schedule:read'), async (req, res) => {
+    try {
+        return res.json(await getAvailabilitySettings());
+    } catch (err) {
+        console.error('GET /api/schedule/availability/settings error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
+// -------------------------------------------------------------
+//  PUT /api/schedule/availability/settings (Admin Only)
+//  Body: { timeZone, workingHours: [{ day: 0-6, start: 'HH:mm', end: 'HH:mm' }], slotMinutes,
+//          bufferMinutes, minNoticeMinutes, maxAdvanceDays, blackoutDates: [{ date: 'YYYY-MM-DD', reason }] }
+//  Omitted fields keep their current value. Existing bookings are not re-checked.
+// -------------------------------------------------------------
+router.put(
+    '/availability/settings',
+    requirePermission('schedule:write'),
+    [
+        check('timeZone', 'timeZone must be an IANA time zone (e.g. Asia/Kolkata)').optional().custom(isValidTimeZone),
+        check('workingHours', 'workingHours must be a list').optional().isArray(),
+        check('workingHours.*.day', 'workingHours day must be 0 (Sunday) to 6').isInt({ min: 0, max: 6 }),
+        check('workingHours.*.start', 'workingHours start must be HH:mm').matches(CLOCK_PATTERN),
+        check('workingHours.*.end', 'workingHours end must be HH:mm').matches(CLOCK_PATTERN),
+        check('workingHours.*').custom((wh) => !wh || wh.end > wh.start).withMessage('workingHours end must be after start'),
+        check('slotMinutes', 'slotMinutes must be between 5 and 480').optional().isInt({ min: 5, max: 480 }),
+        check('bufferMinutes', 'bufferMinutes must be between 0 and 240').optional().isInt({ min: 0, max: 240 }),
+        check('minNoticeMinutes', 'minNoticeMinutes must be 0 or more').optional().isInt({ min: 0 }),
+        check('maxAdvanceDays', 'maxAdvanceDays must be between 1 and 365').optional().isInt({ min: 1, max: 365 }),
+        check('blackoutDates', 'blackoutDates must be a list').optional().isArray(),
+        check('blackoutDates.*.date', 'blackoutDates date must be YYYY-MM-DD')
+            .custom((d) => DAY_PATTERN.test(d) && Boolean(calendarDay(d))),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+        try {
+            const fields = ['timeZone', 'slotMinutes', 'bufferMinutes', 'minNoticeMinutes', 'maxAdvanceDays'];
+            const settings = (await AvailabilitySettings.findOne({ key: 'default' })) || new AvailabilitySettings();
+
+            for (const field of fields) {
+                if (req.body[field] !== undefined) settings[field] = req.body[field];
+            }
+            if (req.body.workingHours !== undefined) {
+                settings.workingHours = req.body.workingHours.map(({ day, start, end }) => ({ day: Number(day), start, end }));
+            }
+            if (req.body.blackoutDates !== undefined) {
+                settings.blackoutDates = req.body.blackoutDates.map(({ date, reason }) => ({ date, reason }));
+            }
+            if (req.user) settings.updatedBy = req.user.id;
+
+            await settings.save();
+            return res.json(settings);
+        } catch (err) {
+            console.error('PUT /api/schedule/availability/settings error:', err);
+            return res.status(500).send('Server Error');
+        }
+    }
+);
+
+// -------------------------------------------------------------
+//  GET /api/schedule/calendar.ics?token=... (Public, token-protected)
+//  iCalendar feed of confirmed meetings for the team's calendar apps.
+//  The token is CALENDAR_FEED_TOKEN; without it set the feed is off (404).
+// -------------------------------------------------------------
+router.get('/calendar.ics', async (req, res) => {
+    try {
+        const valid = feedTokenValid(req.query.token);
+        if (valid === null) return res.status(404).json({ msg: 'Calendar feed is not enabled' });
+        if (!valid) return res.status(401).json({ msg: 'Invalid calendar token' });
+
+        const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+        const [settings, meetings] = await Promise.all([
+            getAvailabilitySettings(),
+            Schedule.find({
+                status: 'confirmed',
+                spam: { $ne: true },
+                startsAt: { $gte: since },
+            }).sort({ startsAt: 1 }).lean(),
+        ]);
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="meetings.ics"',
+            'Cache-Control': 'private, max-age=300',
+        });
+        return res.send(meetingFeed(meetings, settings));
+    } catch (err) {
+        console.error('GET /api/schedule/calendar.ics error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
+// -------------------------------------------------------------
+//  Self-service links for requesters (Public, token in the URL)
+//  The token comes from the acknowledgement / confirmation emails and the
+//  POST /api/schedule response; see services/meetingManage.js.
+// -------------------------------------------------------------
+const INVALID_LINK = { msg: 'This link is invalid or has expired.' };
+
+const loadManagedMeeting = async (token, settings) => {
+    const link = verifyManageToken(token);
+    if (!link) return null;
+    const schedule = await Schedule.findById(link.id);
+    return schedule && !schedule.spam && manageLinkValid(link, schedule, settings) ? schedule : null;
+};
+
+// What the requester sees: their own details in their own zone, never internal fields
+const managedView = (schedule, settings) => {
+    const interval = meetingInterval(schedule, settings);
+    const local = localTime(schedule.startsAt, schedule.timeZone);
+    return {
+        id: schedule._id,
+        name: schedule.name,
+        companyName: schedule.companyName,
+        email: schedule.email,
+        message: schedule.message,
+        meetingDate: local.date,
+        meetingTime: local.time,
+        timeZone: schedule.timeZone,
+        startsAt: interval.start,
+        endsAt: interval.end,
+        durationMinutes: schedule.durationMinutes,
+        status: schedule.status,
+        canChange: OPEN_STATUSES.includes(schedule.status) && interval.start > new Date(),
+    };
+};
+
+// GET /api/schedule/manage/:token -> the booking
+router.get('/manage/:token', publicLinkLimiter, async (req, res) => {
+    try {
+        const settings = await getAvailabilitySettings();
+        const schedule = await loadManagedMeeting(req.params.token, settings);
+        if (!schedule) return res.status(400).json(INVALID_LINK);
+
+        return res.json(managedView(schedule, settings));
+    } catch (err) {
+        console.error('GET /api/schedule/manage/:token error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
+// POST /api/schedule/manage/:token
+//   { action: 'cancel', reason? }
+//   { action: 'reschedule', meetingDate: 'YYYY-MM-DD', meetingTime: 'HH:mm', timeZone? }  (must be an open slot)
+//     the time is read in timeZone (default: the zone the meeting was booked in), or pass startsAt
+// The team is notified and the change goes into the meeting's history.
+router.post('/manage/:token', publicLinkLimiter, async (req, res) => {
+    try {
+        const { action } = req.body;
+        if (!['cancel', 'reschedule'].includes(action)) {
+            return res.status(400).json({ msg: "action must be 'cancel' or 'reschedule'." });
+        }
+
+        const settings = await getAvailabilitySettings();
+        const schedule = await loadManagedMeeting(req.params.token, settings);
+        if (!schedule) return res.status(400).json(INVALID_LINK);
+
+        if (!managedView(schedule, settings).canChange) {
+            return res.status(409).json({ msg: 'This meeting can no longer be changed online. Please contact us.' });
+        }
+
+        const actor = { type: 'public', name: schedule.name, email: schedule.email };
+        const wasConfirmed = schedule.status === 'confirmed';
+
+        if (action === 'cancel') {
+            const reason = String(req.body.reason || '').trim() || 'Cancelled by the requester';
+
+            // Only if nobody changed the status in the meantime
+            const updated = await Schedule.findOneAndUpdate(
+                { _id: schedule._id, status: schedule.status },
+                {
+                    $set: { status: 'cancelled' },
+                    $push: { history: { type: 'status', from: schedule.status, to: 'cancelled', reason, actor } },
+                    ...(wasConfirmed ? { $inc: { calendarSequence: 1 } } : {}),
+                },
+                { new: true, runValidators: true }
+            );
+            if (!updated) return res.status(409).json({ msg: 'This meeting was just changed. Please reload the page.' });
+
+            await emitStatusChanged(updated, schedule.status, reason);
+            await notifyTeam('schedule.cancelled', updated, settings, { cancelledBy: `${updated.name} (requester)`, reason });
+            await notifyRequester('schedule.cancellation', updated, settings, {
+                invite: wasConfirmed ? meetingInvite(updated, settings, 'CANCEL') : undefined,
+                reason,
+                cancelledByRequester: true,
+            });
+
+            return res.json({ msg: 'Your meeting has been cancelled.', booking: managedView(updated, settings) });
+        }
+
+        // Reschedule: the new slot goes through the same checks as a new booking,
+        // ignoring the requester's own current slot
+        const timeZone = req.body.timeZone ? String(req.body.timeZone) : schedule.timeZone;
+        if (!isValidTimeZone(timeZone)) {
+            return res.status(400).json({ msg: 'timeZone must be an IANA time zone (e.g. Europe/Berlin).' });
+        }
+        const requested = parseRequestedStart(req.body, timeZone);
+        if (requested.error) return res.status(400).json({ msg: requested.error });
+
+        if (requested.startsAt.getTime() === schedule.startsAt.getTime()) {
+            return res.status(400).json({ msg: 'That is already the time of your meeting.' });
+        }
+        const slot = await checkSlot({ startsAt: requested.startsAt, settings, excludeId: schedule._id });
+        if (!slot.ok) {
+            return res.status(409).json({ msg: 'The requested meeting time is not available.', reason: slot.reason });
+        }
+
+        const updated = await Schedule.findOneAndUpdate(
+            { _id: schedule._id, status: schedule.status },
+            {
+                // The requester's zone is updated too: they told us where they are now
+                $set: { startsAt: slot.startsAt, durationMinutes: settings.slotMinutes, timeZone },
+                $push: {
+                    history: { type: 'rescheduled', from: schedule.startsAt.toISOString(), to: slot.startsAt.toISOString(), actor },
+                },
+                // Links sent for the old time stop working
+                $inc: { manageVersion: 1, ...(wasConfirmed ? { calendarSequence: 1 } : {}) },
+            },
+            { new: true, runValidators: true }
+        );
+        if (!updated) return res.status(409).json({ msg: 'This meeting was just changed. Please reload the page.' });
+
+        await notifyTeam('schedule.rescheduled', updated, settings, {
+            status: updated.status,
+            previousSlot: localTime(schedule.startsAt, settings.timeZone).label,
+        });
+        // A confirmed meeting stays confirmed (the new slot is free); their calendar gets the update.
+        // Either way the requester gets an email with the link for the new time.
+        if (wasConfirmed) {
+            await notifyRequester('schedule.confirmation', updated, settings, {
+                invite: meetingInvite(updated, settings, 'REQUEST'),
+                rescheduled: true,
+            });
+        } else if (acknowledgementEnabled('schedule')) {
+            await notifyRequester('schedule.acknowledgement', updated, settings, { rescheduled: true });
+        }
+
+        return res.json({
+            msg: 'Your meeting has been moved.',
+            booking: managedView(updated, settings),
+            manageUrl: manageUrl(updated),
+        });
+    } catch (err) {
+        console.error('POST /api/schedule/manage/:token error:', err);
+        return res.status(500).send('Server Error');
+    }
+});
+
 // -------------------------------------------------------------
 //  GET /api/schedule/:id (Admin Only)
 // -------------------------------------------------------------
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', requirePermission('schedule:read'), validId, async (req, res) => {
     try {
         const sched = await Schedule.findById(req.params.id);
         if (!sched) return res.status(404).json({ msg: 'Schedule not found' });
-        return res.json(sched);
+        return res.json(presentSchedule(sched, adminTimeZone(req, await getAvailabilitySettings())));
     } catch (err) {
         console.error('GET /api/schedule/:id error:', err);
         return res.status(500).send('Server Error');
@@ -173,24 +609,155 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // -------------------------------------------------------------
-//  PATCH /api/schedule/:id (Update Status)
+//  PATCH /api/schedule/:id?tz=Europe/Berlin (Edit details / Reschedule / Change Status)
+//  Body: any of EDITABLE_FIELDS, plus { status, reason }, plus a new time as
+//  startsAt (ISO with offset) or meetingDate + meetingTime read in ?tz (default: the business zone).
+//  Status changes must follow STATUS_TRANSITIONS; cancelling needs a reason.
+//  Status changes and reschedules go into the meeting's history; the requester
+//  is emailed on every status change and when a confirmed meeting moves.
+//  Confirming a meeting that clashes with another confirmed one (buffer
+//  included) is refused with 409 unless ?force=true.
 // -------------------------------------------------------------
-router.patch('/:id', auth, async (req, res) => {
+const EDITABLE_FIELDS = ['name', 'companyName', 'role', 'mobile', 'email', 'message', 'timeZone', 'durationMinutes'];
+
+// The requester's email for each status a meeting can move to
+const REQUESTER_EVENTS = {
+    confirmed: 'schedule.confirmation',
+    cancelled: 'schedule.cancellation',
+    completed: 'schedule.completed',
+    'no-show': 'schedule.no_show',
+};
+
+router.patch('/:id', requirePermission('schedule:write'), validId, async (req, res) => {
     try {
-        const updates = { ...req.body };
-        if (updates.status && !ALLOWED_STATUSES.includes(updates.status)) {
-            return res.status(400).json({ msg: `Invalid status. Allowed: ${ALLOWED_STATUSES.join(', ')}` });
+        const updates = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        }
+        const nextStatus = req.body.status;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+        if (nextStatus !== undefined && !SCHEDULE_STATUSES.includes(nextStatus)) {
+            return res.status(400).json({ msg: `Invalid status. Allowed: ${SCHEDULE_STATUSES.join(', ')}` });
+        }
+
+        if (updates.timeZone !== undefined && !isValidTimeZone(String(updates.timeZone))) {
+            return res.status(400).json({ msg: 'timeZone must be an IANA time zone (e.g. Europe/Berlin).' });
         }
-        delete updates._id;
+        if (updates.durationMinutes !== undefined) {
+            updates.durationMinutes = Number(updates.durationMinutes);
+            if (!Number.isInteger(updates.durationMinutes) || updates.durationMinutes < 5 || updates.durationMinutes > 480) {
+                return res.status(400).json({ msg: 'durationMinutes must be a whole number between 5 and 480.' });
+            }
+        }
+
+        const before = await Schedule.findById(req.params.id).select('status spam startsAt durationMinutes');
+        if (!before) return res.status(404).json({ msg: 'Schedule not found' });
 
-        const updated = await Schedule.findByIdAndUpdate(
-            req.params.id,
-            { $set: updates },
+        const statusChanged = nextStatus !== undefined && nextStatus !== before.status;
+        if (statusChanged && !canTransition(before.status, nextStatus)) {
+            const allowed = STATUS_TRANSITIONS[before.status];
+            return res.status(409).json({
+                msg: `A ${before.status} meeting cannot be changed to ${nextStatus}.`,
+                allowed,
+            });
+        }
+        if (statusChanged && nextStatus === 'cancelled' && !reason) {
+            return res.status(400).json({ msg: 'A reason is required to cancel a meeting.' });
+        }
+        if (statusChanged) updates.status = nextStatus;
+        const status = updates.status ?? before.status;
+
+        const settings = await getAvailabilitySettings();
+        let rescheduled = false;
+        if (req.body.startsAt !== undefined || req.body.meetingDate !== undefined || req.body.meetingTime !== undefined) {
+            const requested = parseRequestedStart(req.body, adminTimeZone(req, settings));
+            if (requested.error) return res.status(400).json({ msg: requested.error });
+            rescheduled = requested.startsAt.getTime() !== before.startsAt.getTime();
+            updates.startsAt = requested.startsAt;
+        }
+        // Moving the start or changing the length both change when the meeting takes place
+        const retimed = rescheduled
+            || (updates.durationMinutes !== undefined && updates.durationMinutes !== before.durationMinutes);
+        if (retimed && !OPEN_STATUSES.includes(status)) {
+            return res.status(409).json({ msg: `A ${status} meeting cannot be rescheduled.` });
+        }
+
+        if (status === 'confirmed' && (before.status !== 'confirmed' || retimed) && !before.spam && req.query.force !== 'true') {
+            const interval = meetingInterval({
+                startsAt: updates.startsAt ?? before.startsAt,
+                durationMinutes: updates.durationMinutes ?? before.durationMinutes,
+            }, settings);
+            const buffer = settings.bufferMinutes * 60000;
+            const busy = await busyIntervals(
+                new Date(interval.start.getTime() - buffer),
+                new Date(interval.end.getTime() + buffer),
+                settings,
+                { excludeId: before._id }
+            );
+            const clash = findClash(interval.start, interval.end, busy, settings.bufferMinutes);
+            if (clash) {
+                return res.status(409).json({
+                    msg: 'This meeting clashes with another confirmed meeting. Use ?force=true to confirm anyway.',
+                    conflictWith: clash.id,
+                });
+            }
+        }
+
+        const actor = actorFrom(req);
+        const history = [];
+        if (rescheduled) {
+            history.push({ type: 'rescheduled', from: before.startsAt.toISOString(), to: updates.startsAt.toISOString(), actor });
+        }
+        if (statusChanged) {
+            history.push({ type: 'status', from: before.status, to: nextStatus, reason: reason || undefined, actor });
+        }
+
+        // A confirmed (or moved) meeting sends an invite and cancelling a confirmed one
+        // sends a cancellation. Each bumps the iCalendar SEQUENCE so calendar apps apply it.
+        const sendInvite = status === 'confirmed' && (before.status !== 'confirmed' || retimed) && !before.spam;
+        const sendCancel = status === 'cancelled' && before.status === 'confirmed' && !before.spam;
+
+        const counters = {
+            // Manage links sent for the old time stop working
+            ...(rescheduled ? { manageVersion: 1 } : {}),
+            ...(sendInvite || sendCancel ? { calendarSequence: 1 } : {}),
+        };
+
+        // Only if nobody changed the status or time since we checked the transition
+        const updated = await Schedule.findOneAndUpdate(
+            { _id: before._id, status: before.status, startsAt: before.startsAt },
+            {
+                $set: updates,
+                ...(history.length ? { $push: { history: { $each: history } } } : {}),
+                ...(Object.keys(counters).length ? { $inc: counters } : {}),
+            },
             { new: true, runValidators: true }
         );
 
-        if (!updated) return res.status(404).json({ msg: 'Schedule not found' });
-        return res.json(updated);
+        if (!updated) return res.status(409).json({ msg: 'This meeting was just changed. Please reload it and try again.' });
+
+        if (statusChanged && !updated.spam) {
+            await emitStatusChanged(updated, before.status, reason);
+            if (updated.status === 'cancelled') {
+                await notifyTeam('schedule.cancelled', updated, settings, { cancelledBy: req.user?.email || req.apiKey?.name, reason });
+            }
+        }
+
+        // The requester hears about every transition, and about a confirmed meeting being moved
+        const requesterEvent = statusChanged ? REQUESTER_EVENTS[updated.status] : (sendInvite ? REQUESTER_EVENTS.confirmed : null);
+        if (requesterEvent && !updated.spam) {
+            await notifyRequester(requesterEvent, updated, settings, {
+                invite: sendInvite || sendCancel ? meetingInvite(updated, settings, sendInvite ? 'REQUEST' : 'CANCEL') : undefined,
+                reason,
+                rescheduled: sendInvite && before.status === 'confirmed',
+            });
+        } else if (rescheduled && updated.status === 'pending' && !updated.spam && acknowledgementEnabled('schedule')) {
+            // Their acknowledgement link stopped working with the move: send the new time and link
+            await notifyRequester('schedule.acknowledgement', updated, settings, { rescheduled: true });
+        }
+
+        return res.json(presentSchedule(updated, adminTimeZone(req, settings)));
     } catch (err) {
         console.error('PATCH /api/schedule/:id error:', err);
         return res.status(500).send('Server Error');
@@ -200,7 +767,7 @@ router.patch('/:id', auth, async (req, res) => {
 // -------------------------------------------------------------
 //  DELETE /api/schedule/:id (Delete Request)
 // -------------------------------------------------------------
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', requirePermission('schedule:delete'), validId, async (req, res) => {
     try {
         const schedule = await Schedule.findByIdAndDelete(req.params.id);
         if (!schedule) return res.status(404).json({ msg: 'Schedule not found' });
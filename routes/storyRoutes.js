@@ -1,7 +1,7 @@
 // routes/storyRoutes.js
 import express from "express";
 import Story from "../models/Story.js";
-import auth from "../middleware/auth.js"; // Admin token middleware
+import { requirePermission } from "../middleware/auth.js"; // Admin token + permission middleware
 
 const router = express.Router();
 
@@ -19,7 +19,7 @@ router.get("/", async (_req, res) => {
 
 // @route   POST /api/stories
 // @desc    Add a new story (Admin)
-router.post("/", auth, async (req, res) => {
+router.post("/", requirePermission("stories:write"), async (req, res) => {
   const { quote, author, role } = req.body;
 
   try {
@@ -34,7 +34,7 @@ router.post("/", auth, async (req, res) => {
 
 // @route   PUT /api/stories/:id
 // @desc    Update a story (Admin)
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", requirePermission("stories:write"), async (req, res) => {
   const { quote, author, role } = req.body;
   const storyFields = {};
   if (quote !== undefined) storyFields.quote = quote;
@@ -62,7 +62,7 @@ router.put("/:id", auth, async (req, res) => {
 
 // @route   DELETE /api/stories/:id
 // @desc    Delete a story (Admin)
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", requirePermission("stories:write"), async (req, res) => {
   try {
     const story = await Story.findById(req.params.id);
     if (!story) {
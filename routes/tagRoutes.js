@@ -1,7 +1,7 @@
 // backend/routes/tagRoutes.js
 import express from "express";
 import Tag from "../models/Tag.js";
-import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
 import slugify from "slugify";
 
 const router = express.Router();
@@ -32,7 +32,7 @@ router.get("/", async (req, res) => {
 });
 
 // CREATE tag
-router.post("/", auth, async (req, res) => {
+router.post("/", requirePermission("tags:write"), async (req, res) => {
   try {
     const name = cleanTagName(req.body.name);
 
@@ -53,7 +53,7 @@ router.post("/", auth, async (req, res) => {
 });
 
 // UPDATE tag
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", requirePermission("tags:write"), async (req, res) => {
   try {
     const name = cleanTagName(req.body.name);
     if (!name) return res.status(400).json({ message: "Tag name required" });
@@ -75,7 +75,7 @@ router.put("/:id", auth, async (req, res) => {
 });
 
 // DELETE tag
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", requirePermission("tags:write"), async (req, res) => {
   try {
     await Tag.findByIdAndDelete(req.params.id);
     res.json({ message: "Tag deleted" });
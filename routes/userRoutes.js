@@ -0,0 +1,88 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import { requirePermission } from '../middleware/auth.js';
+import { ROLES, LEGACY_ROLE_ALIASES, ROLE_PERMISSIONS, resolveRole } from '../config/roles.js';
+
+const router = express.Router();
+
+// Never send credentials or OTP state back to the admin panel
+const PUBLIC_FIELDS = 'email role createdAt';
+
+const toPublicUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  role: resolveRole(user.role),
+  createdAt: user.createdAt,
+});
+
+/* =========================================================
+   LIST ROLES + PERMISSIONS
+   GET /api/users/roles
+========================================================= */
+router.get('/roles', requirePermission('users:read'), (_req, res) => {
+  res.json(ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+/* =========================================================
+   LIST USERS
+   GET /api/users
+========================================================= */
+router.get('/', requirePermission('users:read'), async (_req, res) => {
+  try {
+    const users = await User.find().select(PUBLIC_FIELDS).sort({ createdAt: 1 }).lean();
+    res.json(users.map(toPublicUser));
+  } catch (err) {
+    console.error('LIST USERS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   CHANGE ROLE
+   PATCH /api/users/:id/role   Body: { role }
+========================================================= */
+router.patch(
+  '/:id/role',
+  requirePermission('users:write'),
+  [check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!mongoose.isValidObjectId(id))
+        return res.status(400).json({ message: 'Invalid user id' });
+
+      if (id === req.user.id)
+        return res.status(400).json({ message: 'You cannot change your own role' });
+
+      const user = await User.findById(id);
+      if (!user)
+        return res.status(404).json({ message: 'User not found' });
+
+      // Keep at least one super-admin around, otherwise nobody can manage roles
+      if (resolveRole(user.role) === 'super-admin' && role !== 'super-admin') {
+        const superAdminRoles = ['super-admin', ...Object.keys(LEGACY_ROLE_ALIASES)];
+        const superAdmins = await User.countDocuments({ role: { $in: superAdminRoles } });
+        if (superAdmins <= 1)
+          return res.status(400).json({ message: 'Cannot demote the last super-admin' });
+      }
+
+      user.role = role;
+      await user.save();
+
+      res.json(toPublicUser(user));
+    } catch (err) {
+      console.error('CHANGE ROLE ERROR:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,292 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { requirePermission } from '../middleware/auth.js';
+import { WEBHOOK_EVENTS, PING_EVENT, SIGNATURE_HEADER } from '../config/webhooks.js';
+import { generateToken } from '../utils/tokens.js';
+import { parsePagination } from '../utils/listQuery.js';
+import { buildPayload, queueDeliveries } from '../services/webhooks/index.js';
+
+const router = express.Router();
+
+/* ================= CONFIG ================= */
+const SECRET_PREFIX = 'whsec';
+const EVENT_CHOICES = [...Object.keys(WEBHOOK_EVENTS), '*'];
+
+/* ================= HELPERS ================= */
+const newSecret = () => `${SECRET_PREFIX}_${generateToken(24)}`;
+
+const toPublicSubscription = (sub) => ({
+  id: sub._id,
+  name: sub.name,
+  url: sub.url,
+  events: sub.events,
+  active: sub.active,
+  secretHint: `${SECRET_PREFIX}_…${String(sub.secret).slice(-4)}`,
+  createdBy: sub.createdBy,
+  createdAt: sub.createdAt,
+  updatedAt: sub.updatedAt,
+});
+
+// Deliveries in lists leave out the (possibly large) payload and response body
+const LIST_FIELDS = '-payload -responseBody -history';
+
+const validId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id))
+    return res.status(400).json({ message: 'Invalid id' });
+  next();
+};
+
+const subscriptionRules = (partial) => {
+  const field = (name, msg) => (partial ? check(name, msg).optional() : check(name, msg));
+  return [
+    field('name', 'Name is required').trim().notEmpty(),
+    field('url', 'URL must be an http(s) URL')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+    field('events', 'Pick at least one event').isArray({ min: 1 }),
+    check('events.*', `Events must be from: ${EVENT_CHOICES.join(', ')}`).isIn(EVENT_CHOICES),
+    check('active', 'active must be true or false').optional().isBoolean(),
+  ];
+};
+
+/* =========================================================
+   LIST EVENTS
+   GET /api/webhooks/events
+========================================================= */
+router.get('/events', requirePermission('webhooks:read'), (_req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })),
+    signatureHeader: SIGNATURE_HEADER,
+  });
+});
+
+/* =========================================================
+   ONE DELIVERY (full payload, response and attempt history)
+   GET /api/webhooks/deliveries/:id
+========================================================= */
+router.get('/deliveries/:id', requirePermission('webhooks:read'), validId, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id).lean();
+    if (!delivery)
+      return res.status(404).json({ message: 'Delivery not found' });
+
+    res.json(delivery);
+  } catch (err) {
+    console.error('GET WEBHOOK DELIVERY ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   REPLAY A DELIVERY
+   POST /api/webhooks/deliveries/:id/replay
+   Queues the same payload (same event id) again as a new delivery
+========================================================= */
+router.post('/deliveries/:id/replay', requirePermission('webhooks:write'), validId, async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.id).lean();
+    if (!original)
+      return res.status(404).json({ message: 'Delivery not found' });
+
+    const subscription = await WebhookSubscription.findById(original.subscription);
+    if (!subscription)
+      return res.status(404).json({ message: 'Subscription no longer exists' });
+    if (!subscription.active)
+      return res.status(409).json({ message: 'Subscription is disabled' });
+
+    const [replay] = await queueDeliveries([subscription], original.payload, { replayOf: original._id });
+
+    res.status(202).json({ message: 'Delivery queued', id: replay._id, replayOf: original._id });
+  } catch (err) {
+    console.error('REPLAY WEBHOOK DELIVERY ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   LIST SUBSCRIPTIONS
+   GET /api/webhooks
+========================================================= */
+router.get('/', requirePermission('webhooks:read'), async (_req, res) => {
+  try {
+    const subs = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json(subs.map(toPublicSubscription));
+  } catch (err) {
+    console.error('LIST WEBHOOKS ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   CREATE SUBSCRIPTION (the secret is only returned here and on rotate)
+   POST /api/webhooks   Body: { name, url, events: [], active? }
+========================================================= */
+router.post('/', requirePermission('webhooks:write'), subscriptionRules(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const { name, url, events, active } = req.body;
+    const secret = newSecret();
+
+    const sub = await WebhookSubscription.create({
+      name,
+      url,
+      secret,
+      events: Array.from(new Set(events)),
+      active: active === undefined ? true : active === true || active === 'true',
+      createdBy: req.user?.id,
+    });
+
+    res.status(201).json({
+      ...toPublicSubscription(sub),
+      secret,
+      message: `Copy this secret now; it will not be shown again. Use it to verify the ${SIGNATURE_HEADER} header.`,
+    });
+  } catch (err) {
+    console.error('CREATE WEBHOOK ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   ONE SUBSCRIPTION
+   GET /api/webhooks/:id
+========================================================= */
+router.get('/:id', requirePermission('webhooks:read'), validId, async (req, res) => {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub)
+      return res.status(404).json({ message: 'Webhook not found' });
+
+    res.json(toPublicSubscription(sub));
+  } catch (err) {
+    console.error('GET WEBHOOK ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   UPDATE SUBSCRIPTION
+   PATCH /api/webhooks/:id   Body: { name?, url?, events?, active? }
+========================================================= */
+router.patch('/:id', requirePermission('webhooks:write'), validId, subscriptionRules(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub)
+      return res.status(404).json({ message: 'Webhook not found' });
+
+    const { name, url, events, active } = req.body;
+    if (name !== undefined) sub.name = name;
+    if (url !== undefined) sub.url = url;
+    if (events !== undefined) sub.events = Array.from(new Set(events));
+    if (active !== undefined) sub.active = active === true || active === 'true';
+    await sub.save();
+
+    res.json(toPublicSubscription(sub));
+  } catch (err) {
+    console.error('UPDATE WEBHOOK ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   ROTATE SECRET
+   POST /api/webhooks/:id/rotate-secret
+   Deliveries still in the queue are signed with the new secret
+========================================================= */
+router.post('/:id/rotate-secret', requirePermission('webhooks:write'), validId, async (req, res) => {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub)
+      return res.status(404).json({ message: 'Webhook not found' });
+
+    const secret = newSecret();
+    sub.secret = secret;
+    await sub.save();
+
+    res.json({ ...toPublicSubscription(sub), secret });
+  } catch (err) {
+    console.error('ROTATE WEBHOOK SECRET ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   SEND A TEST EVENT
+   POST /api/webhooks/:id/test
+========================================================= */
+router.post('/:id/test', requirePermission('webhooks:write'), validId, async (req, res) => {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub)
+      return res.status(404).json({ message: 'Webhook not found' });
+
+    const [delivery] = await queueDeliveries([sub], buildPayload(PING_EVENT, {
+      subscription: String(sub._id),
+      message: 'Test delivery from the NEXORA admin panel',
+    }));
+
+    res.status(202).json({ message: 'Test event queued', id: delivery._id });
+  } catch (err) {
+    console.error('TEST WEBHOOK ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   DELIVERY LOG FOR ONE SUBSCRIPTION
+   GET /api/webhooks/:id/deliveries?status=failed&event=&page=&limit=
+   Returns { items, page, limit, total }, newest first
+========================================================= */
+router.get('/:id/deliveries', requirePermission('webhooks:read'), validId, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50 });
+
+    const q = { subscription: req.params.id };
+    if (DELIVERY_STATUSES.includes(req.query.status)) q.status = req.query.status;
+    if (req.query.event) q.event = String(req.query.event);
+
+    const [total, items] = await Promise.all([
+      WebhookDelivery.countDocuments(q),
+      WebhookDelivery.find(q).select(LIST_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ]);
+
+    res.json({ items, page, limit, total });
+  } catch (err) {
+    console.error('LIST WEBHOOK DELIVERIES ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/* =========================================================
+   DELETE SUBSCRIPTION (its delivery log expires on its own)
+   DELETE /api/webhooks/:id
+========================================================= */
+router.delete('/:id', requirePermission('webhooks:write'), validId, async (req, res) => {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub)
+      return res.status(404).json({ message: 'Webhook not found' });
+
+    await sub.deleteOne();
+    await WebhookDelivery.updateMany(
+      { subscription: sub._id, status: { $in: ['pending', 'sending'] } },
+      { $set: { status: 'failed', lastError: 'Subscription was deleted', lockedUntil: null } }
+    );
+
+    res.json({ message: 'Webhook deleted', id: sub._id });
+  } catch (err) {
+    console.error('DELETE WEBHOOK ERROR:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+// backend/scripts/backfill-contacts.js
+// Creates CRM contacts for messages and meeting requests stored before contacts
+// existed, oldest first, and links each submission to its contact. Safe to re-run:
+// submissions that already have a contact are skipped.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Message from '../models/Message.js';
+import Schedule from '../models/Schedule.js';
+import { matchContact } from '../services/contacts.js';
+
+dotenv.config();
+
+async function backfill(Model, kind, dateField, notSpam) {
+  const cursor = Model.find({ contact: null, ...notSpam })
+    .sort({ [dateField]: 1 })
+    .lean()
+    .cursor();
+
+  let linked = 0;
+  for await (const doc of cursor) {
+    const contact = await matchContact({
+      kind,
+      name: doc.name,
+      email: doc.email,
+      phone: doc.mobile,
+      companyName: doc.companyName,
+      role: doc.role,
+      at: doc[dateField],
+    });
+    if (!contact) continue;
+
+    await Model.collection.updateOne({ _id: doc._id }, { $set: { contact: contact._id } });
+    linked += 1;
+  }
+  console.log(`[backfilled] ${linked} ${kind}(s) linked to contacts`);
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {});
+
+    await backfill(Message, 'message', 'date', { status: { $ne: 'spam' } });
+    await backfill(Schedule, 'meeting', 'dateSubmitted', { spam: { $ne: true } });
+
+    console.log('Backfill complete.');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Backfill error', err);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,72 @@
+// backend/scripts/migrate-meeting-times.js
+// Converts meetings stored as meetingDate + meetingTime (a local time in the
+// business zone) to startsAt (UTC) + durationMinutes + timeZone, and drops the
+// old fields. Safe to re-run: meetings without the old fields are skipped.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Schedule from '../models/Schedule.js';
+import { getAvailabilitySettings, calendarDay, normalizeTime } from '../services/availability.js';
+import { zonedTimeToUtc } from '../utils/zonedTime.js';
+
+dotenv.config();
+
+// Older forms sent "2:30 PM" as well as "14:30"
+const clockTime = (value) => {
+  const twelveHour = /^(\d{1,2}):(\d{2})\s*([AaPp])\.?[Mm]\.?$/.exec(String(value || '').trim());
+  if (!twelveHour) return normalizeTime(value);
+  const hour = Number(twelveHour[1]);
+  if (hour < 1 || hour > 12) return null;
+  const h24 = (hour % 12) + (twelveHour[3].toLowerCase() === 'p' ? 12 : 0);
+  return normalizeTime(`${h24}:${twelveHour[2]}`);
+};
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {});
+
+    // Old meetings were booked in the business zone, so that is the requester's zone too
+    const settings = await getAvailabilitySettings();
+    const cursor = Schedule.collection.find({
+      $or: [{ startsAt: null }, { meetingDate: { $exists: true } }, { meetingTime: { $exists: true } }],
+    });
+
+    let migrated = 0;
+    let skipped = 0;
+    for await (const doc of cursor) {
+      let startsAt = doc.startsAt;
+      if (!startsAt) {
+        const day = doc.meetingDate ? calendarDay(doc.meetingDate) : null;
+        const time = clockTime(doc.meetingTime);
+        if (!day || !time) {
+          console.warn(`[skipped] ${doc._id}: cannot read meetingDate "${doc.meetingDate}" / meetingTime "${doc.meetingTime}"`);
+          skipped += 1;
+          continue;
+        }
+        startsAt = zonedTimeToUtc(day, time, settings.timeZone);
+      }
+
+      const booked = doc.endsAt ? Math.round((doc.endsAt - startsAt) / 60000) : 0;
+      await Schedule.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            startsAt,
+            durationMinutes: doc.durationMinutes || (booked >= 5 ? booked : settings.slotMinutes),
+            timeZone: doc.timeZone || settings.timeZone,
+          },
+          $unset: { meetingDate: '', meetingTime: '', endsAt: '' },
+        }
+      );
+      migrated += 1;
+    }
+
+    console.log(`[migrated] ${migrated} meeting(s) to startsAt/durationMinutes/timeZone, ${skipped} skipped`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration error', err);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,38 @@
+// backend/scripts/migrate-message-status.js
+// Gives messages stored before the inbox workflow a status:
+// unread -> 'new', read -> 'in-progress'
+// Goes through the model, so every changed message gets an audit log entry.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Message from '../models/Message.js';
+
+dotenv.config();
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {});
+
+    const missing = { status: { $exists: false } };
+
+    const unread = await Message.updateMany(
+      { ...missing, read: { $ne: true } },
+      { $set: { status: 'new', priority: 'normal', labels: [], notes: [], assignedTo: null } }
+    );
+    console.log(`[migrated] ${unread.modifiedCount} unread message(s) => 'new'`);
+
+    const read = await Message.updateMany(
+      { ...missing, read: true },
+      { $set: { status: 'in-progress', priority: 'normal', labels: [], notes: [], assignedTo: null } }
+    );
+    console.log(`[migrated] ${read.modifiedCount} read message(s) => 'in-progress'`);
+
+    console.log('Migration complete.');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration error', err);
+    process.exit(1);
+  }
+}
+
+migrate();
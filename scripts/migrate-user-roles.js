@@ -0,0 +1,28 @@
+// backend/scripts/migrate-user-roles.js
+// Rewrites legacy single-role users ('admin') onto the RBAC roles in config/roles.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { LEGACY_ROLE_ALIASES } from '../config/roles.js';
+
+dotenv.config();
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {});
+
+    for (const [legacy, role] of Object.entries(LEGACY_ROLE_ALIASES)) {
+      const result = await User.updateMany({ role: legacy }, { $set: { role } });
+      console.log(`[migrated] ${result.modifiedCount} user(s): '${legacy}' => '${role}'`);
+    }
+
+    console.log('Migration complete.');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration error', err);
+    process.exit(1);
+  }
+}
+
+migrate();
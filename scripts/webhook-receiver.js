@@ -0,0 +1,50 @@
+// backend/scripts/webhook-receiver.js
+// Tiny local endpoint for trying out webhook subscriptions.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+//
+// Point a subscription at http://localhost:4000/ (or the port given), then use
+// POST /api/webhooks/:id/test. Every delivery is printed with its signature check.
+// FAIL_STATUS=500 makes it reject deliveries, to watch the retries and replay them.
+import http from 'http';
+import dotenv from 'dotenv';
+import { verifySignature } from '../services/webhooks/signing.js';
+import { SIGNATURE_HEADER, EVENT_HEADER, DELIVERY_HEADER } from '../config/webhooks.js';
+
+dotenv.config();
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failStatus = Number(process.env.FAIL_STATUS) || 0;
+
+if (!secret) console.warn('⚠️ WEBHOOK_SECRET not set: signatures will not be checked');
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const header = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const valid = secret ? verifySignature(secret, body, header) : null;
+
+    console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    console.log(`  event:     ${req.headers[EVENT_HEADER.toLowerCase()]}`);
+    console.log(`  delivery:  ${req.headers[DELIVERY_HEADER.toLowerCase()]}`);
+    console.log(`  signature: ${valid === null ? 'not checked' : valid ? 'valid' : 'INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (valid === false) {
+      res.writeHead(401).end('invalid signature');
+    } else if (failStatus) {
+      res.writeHead(failStatus).end('failing on purpose');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    }
+  });
+});
+
+server.listen(port, () => console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`));
@@ -5,10 +5,14 @@ import mongoose from "mongoose";
 import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
+import { requestContext } from "./utils/requestContext.js";
+import { startNotificationWorker, stopNotificationWorker } from "./services/notifications/index.js";
+import { startWebhookWorker, stopWebhookWorker } from "./services/webhooks/index.js";
 
 // ===== ROUTES (ESM imports) =====
 // Make sure these files exist and export routers
 import authRoutes from "./routes/authRoutes.js";
+import passkeyRoutes from "./routes/passkeyRoutes.js"; // WebAuthn passkey login
 import contentRoutes from "./routes/contentRoutes.js";
 import messageRoutes from "./routes/messageRoutes.js";
 import postRoutes from "./routes/postRoutes.js";
@@ -19,6 +23,13 @@ import storyRoutes from "./routes/storyRoutes.js";
 import partnerRoutes from "./routes/partnerRoutes.js";
 import scheduleRoutes from "./routes/scheduleRoutes.js";
 import certificateRoutes from "./routes/certificateRoutes.js"; // Certificates route
+import userRoutes from "./routes/userRoutes.js"; // Admin users & roles
+import inviteRoutes from "./routes/inviteRoutes.js"; // Admin invitations
+import apiKeyRoutes from "./routes/apiKeyRoutes.js"; // Machine-client API keys
+import auditRoutes from "./routes/auditRoutes.js"; // Admin audit log
+import notificationRoutes from "./routes/notificationRoutes.js"; // Notification outbox
+import webhookRoutes from "./routes/webhookRoutes.js"; // Outgoing webhook subscriptions
+import contactRoutes from "./routes/contactRoutes.js"; // CRM contacts
 
 // --------------------
 // Basic env validation
@@ -63,6 +74,13 @@ app.disable("x-powered-by"); // don't reveal server stack
     // Mongoose connect
     await mongoose.connect(uri, { autoIndex: true });
     console.log("✅ MongoDB Connected Successfully");
+
+    // Delivers queued emails / WhatsApp / webhooks. Set NOTIFICATION_WORKER=off on
+    // instances that should only enqueue.
+    if (process.env.NOTIFICATION_WORKER !== "off") {
+      startNotificationWorker();
+      startWebhookWorker();
+    }
   } catch (err) {
     console.error("❌ MongoDB Connection Failed:", err?.message || err);
     process.exit(1);
@@ -146,9 +164,15 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// =======================
+//  REQUEST CONTEXT (used by the audit log)
+// =======================
+app.use(requestContext);
+
 // =======================
 //  API ROUTES
 // =======================
+app.use("/api/auth/passkeys", passkeyRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/content", contentRoutes);
 app.use("/api/messages", messageRoutes);
@@ -160,6 +184,13 @@ app.use("/api/stories", storyRoutes);
 app.use("/api/partners", partnerRoutes);
 app.use("/api/schedule", scheduleRoutes);
 app.use("/api/certificates", certificateRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/contacts", contactRoutes);
 
 // =======================
 //  HEALTH & ROOT
@@ -216,6 +247,9 @@ const graceful = async (signal) => {
       console.log("HTTP server closed.");
     });
 
+    stopNotificationWorker();
+    stopWebhookWorker();
+
     // give a small grace period for existing connections
     const graceMs = 3000;
     await new Promise((resolve) => setTimeout(resolve, graceMs));
@@ -0,0 +1,149 @@
+// services/availability.js
+// Open meeting slots: working hours minus blackout dates, the notice window and
+// confirmed meetings (plus their buffer). Booking only accepts a listed slot.
+import AvailabilitySettings, { DEFAULT_AVAILABILITY } from '../models/AvailabilitySettings.js';
+import Schedule from '../models/Schedule.js';
+import {
+  zonedParts,
+  zonedTimeToUtc,
+  addDays,
+  clockToMinutes,
+  minutesToClock,
+} from '../utils/zonedTime.js';
+
+const MINUTE = 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+export const getAvailabilitySettings = async () =>
+  (await AvailabilitySettings.findOne({ key: 'default' }).lean()) || { ...DEFAULT_AVAILABILITY };
+
+/** 'YYYY-MM-DD' from a form value; null if unparseable */
+export const calendarDay = (meetingDate) => {
+  if (typeof meetingDate === 'string' && DAY_PATTERN.test(meetingDate)) return meetingDate.slice(0, 10);
+  const d = new Date(meetingDate);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
+
+/** "9:30" / "09:30" -> "09:30"; null if not a time of day */
+export const normalizeTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [h, m] = [Number(match[1]), Number(match[2])];
+  return h < 24 && m < 60 ? minutesToClock(h * 60 + m) : null;
+};
+
+// Longest meeting a Schedule allows (durationMinutes max); bounds the busy lookup
+const MAX_DURATION_MINUTES = 480;
+
+/** { start, end } of a stored meeting, or null if it has no start */
+export const meetingInterval = (schedule, settings) => {
+  if (!schedule.startsAt) return null;
+  const start = new Date(schedule.startsAt);
+  const minutes = schedule.durationMinutes || settings.slotMinutes;
+  return { start, end: new Date(start.getTime() + minutes * MINUTE) };
+};
+
+/** Confirmed meetings that overlap [from, to). */
+export const busyIntervals = async (from, to, settings, { excludeId } = {}) => {
+  const meetings = await Schedule.find({
+    status: 'confirmed',
+    spam: { $ne: true },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    startsAt: { $gte: new Date(from.getTime() - MAX_DURATION_MINUTES * MINUTE), $lt: to },
+  }).select('startsAt durationMinutes').lean();
+
+  return meetings
+    .map((m) => ({ id: m._id, ...meetingInterval(m, settings) }))
+    .filter((m) => m.start && m.start < to && m.end > from);
+};
+
+/** Does [start, end) come within `bufferMinutes` of any busy interval? Returns the clashing one. */
+export const findClash = (start, end, busy, bufferMinutes = 0) => {
+  const buffer = bufferMinutes * MINUTE;
+  return busy.find((b) => start.getTime() < b.end.getTime() + buffer && end.getTime() > b.start.getTime() - buffer) || null;
+};
+
+// Working-hours grid for one local day: [{ time, minutes }]
+const daySlots = (day, settings) => {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  const slots = [];
+  for (const wh of settings.workingHours.filter((w) => w.day === weekday)) {
+    const end = clockToMinutes(wh.end);
+    for (let m = clockToMinutes(wh.start); m + settings.slotMinutes <= end; m += settings.slotMinutes) {
+      slots.push(m);
+    }
+  }
+  return Array.from(new Set(slots)).sort((a, b) => a - b);
+};
+
+/** Last local day that can be booked */
+const lastBookableDay = (settings, now) => addDays(zonedParts(now, settings.timeZone).date, settings.maxAdvanceDays);
+
+/**
+ * Open slots from local day `fromDay` to `toDay` (inclusive, 'YYYY-MM-DD' in the business zone).
+ * `excludeId` ignores that meeting's own booking (when it is being moved).
+ * Returns [{ date, time, startsAt, endsAt }] in chronological order.
+ */
+export const listSlots = async ({ fromDay, toDay, settings, now = new Date(), excludeId }) => {
+  const tz = settings.timeZone;
+  const lastDay = toDay < lastBookableDay(settings, now) ? toDay : lastBookableDay(settings, now);
+  if (fromDay > lastDay) return [];
+
+  const earliest = now.getTime() + settings.minNoticeMinutes * MINUTE;
+  const blackout = new Set((settings.blackoutDates || []).map((b) => b.date));
+  const busy = await busyIntervals(
+    zonedTimeToUtc(fromDay, '00:00', tz),
+    zonedTimeToUtc(addDays(lastDay, 1), '00:00', tz),
+    settings,
+    { excludeId }
+  );
+
+  const slots = [];
+  for (let day = fromDay; day <= lastDay; day = addDays(day, 1)) {
+    if (blackout.has(day)) continue;
+
+    for (const minutes of daySlots(day, settings)) {
+      const time = minutesToClock(minutes);
+      const start = zonedTimeToUtc(day, time, tz);
+      // A time skipped by a DST change (02:30 on spring-forward day) resolves to the
+      // slot an hour later, which is listed under its own time already
+      if (zonedParts(start, tz).time !== time) continue;
+      const end = new Date(start.getTime() + settings.slotMinutes * MINUTE);
+      if (start.getTime() < earliest) continue;
+      if (findClash(start, end, busy, settings.bufferMinutes)) continue;
+
+      slots.push({ date: day, time, startsAt: start, endsAt: end });
+    }
+  }
+  return slots;
+};
+
+/**
+ * Can a meeting starting at `startsAt` (a Date) be booked?
+ * { ok: true, date, time, startsAt, endsAt } or { ok: false, reason } (reason is shown to the visitor)
+ */
+export const checkSlot = async ({ startsAt, settings, now = new Date(), excludeId }) => {
+  const start = new Date(startsAt);
+  // The slot grid is in the business zone
+  const { date: day, time } = zonedParts(start, settings.timeZone);
+
+  const [slot] = (await listSlots({ fromDay: day, toDay: day, settings, now, excludeId }))
+    .filter((s) => s.startsAt.getTime() === start.getTime());
+  if (slot) return { ok: true, ...slot };
+
+  // Not open: work out why, for a useful error message
+  if (start <= now) return { ok: false, reason: 'That time is in the past.' };
+  if (start.getTime() < now.getTime() + settings.minNoticeMinutes * MINUTE) {
+    return { ok: false, reason: `Meetings must be booked at least ${settings.minNoticeMinutes} minutes in advance.` };
+  }
+  if (day > lastBookableDay(settings, now)) {
+    return { ok: false, reason: `Meetings can be booked at most ${settings.maxAdvanceDays} days ahead.` };
+  }
+  if ((settings.blackoutDates || []).some((b) => b.date === day)) {
+    return { ok: false, reason: 'We are not taking meetings on that date.' };
+  }
+  if (start.getUTCSeconds() || start.getUTCMilliseconds() || !daySlots(day, settings).includes(clockToMinutes(time))) {
+    return { ok: false, reason: 'That time is outside our working hours.' };
+  }
+  return { ok: false, reason: 'That slot is already booked. Please pick another time.' };
+};
@@ -0,0 +1,50 @@
+// services/captcha.js
+// Pluggable captcha verification for the public forms.
+//
+//   CAPTCHA_PROVIDER = none (default) | stub | recaptcha | hcaptcha | turnstile
+//   CAPTCHA_SECRET   = provider secret key
+//
+// Providers are async (token, { ip }) => boolean. The 'stub' provider is for
+// tests and local development: it accepts the token "pass" and nothing else.
+
+const siteverify = (url) => async (token, { ip } = {}) => {
+  const params = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET || '', response: token });
+  if (ip) params.set('remoteip', ip);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params,
+  });
+  const data = await res.json();
+  return Boolean(data.success);
+};
+
+const providers = {
+  stub: async (token) => token === 'pass',
+  recaptcha: siteverify('https://www.google.com/recaptcha/api/siteverify'),
+  hcaptcha: siteverify('https://api.hcaptcha.com/siteverify'),
+  turnstile: siteverify('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+};
+
+/** Register (or replace) a provider, e.g. a fake one in a test. */
+export const registerCaptchaProvider = (name, verify) => {
+  providers[name] = verify;
+};
+
+export const captchaEnabled = () => {
+  const name = process.env.CAPTCHA_PROVIDER || 'none';
+  return name !== 'none';
+};
+
+/** Verify a client token with the configured provider. Missing tokens fail. */
+export const verifyCaptcha = async (token, { ip } = {}) => {
+  const name = process.env.CAPTCHA_PROVIDER || 'none';
+  if (name === 'none') return true;
+
+  const verify = providers[name];
+  if (!verify) throw new Error(`Unknown CAPTCHA_PROVIDER: ${name}`);
+  if (!token) return false;
+
+  return verify(String(token), { ip });
+};
@@ -0,0 +1,23 @@
+// services/channels/emailChannel.js
+import transporter from '../../config/mailer.js';
+
+// Gmail (nodemailer) delivery
+export default {
+  name: 'email',
+
+  address: (recipient) => recipient.email || null,
+
+  // icalEvent: { method, filename, content } is sent as a calendar invite (see services/meetingCalendar.js)
+  async send({ to, subject, text, html, fromName, replyTo, icalEvent }) {
+    const info = await transporter.sendMail({
+      from: fromName ? `"${fromName}" <${process.env.GMAIL_USER}>` : process.env.GMAIL_USER,
+      to,
+      replyTo,
+      subject,
+      text,
+      html: html || (text ? `<p>${text}</p>` : undefined),
+      icalEvent,
+    });
+    return { id: info.messageId };
+  },
+};
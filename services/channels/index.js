@@ -0,0 +1,44 @@
+// services/channels/index.js
+// Registry of delivery channels. Each channel is:
+//   { name, address(recipient) -> string|null, send({ to, subject, text, html }) -> { id } }
+// where recipient is { email, phone, webhookUrl }.
+import emailChannel from './emailChannel.js';
+import { smsChannel, whatsappChannel } from './twilioChannel.js';
+import webhookChannel from './webhookChannel.js';
+import { createMemoryChannel } from './memoryChannel.js';
+
+// Channels a person can receive OTPs on
+export const CHANNEL_NAMES = ['email', 'sms', 'whatsapp'];
+
+// Everything the notification outbox can deliver through
+export const NOTIFICATION_CHANNEL_NAMES = [...CHANNEL_NAMES, 'webhook'];
+
+const defaults = {
+  email: emailChannel,
+  sms: smsChannel,
+  whatsapp: whatsappChannel,
+  webhook: webhookChannel,
+};
+
+const registry = { ...defaults };
+
+// MESSAGE_TRANSPORT=memory keeps every channel in-process (tests, local dev)
+if (process.env.MESSAGE_TRANSPORT === 'memory') {
+  for (const name of NOTIFICATION_CHANNEL_NAMES) registry[name] = createMemoryChannel(name);
+}
+
+export const getChannel = (name) => registry[name] || null;
+
+/** Swap the transport behind a channel, e.g. useChannel(createMemoryChannel('sms')) in a test. */
+export const useChannel = (channel) => {
+  registry[channel.name] = channel;
+  return channel;
+};
+
+/** Put the real transports back. */
+export const resetChannels = () => {
+  for (const name of Object.keys(registry)) delete registry[name];
+  Object.assign(registry, defaults);
+};
+
+export { createMemoryChannel };
@@ -0,0 +1,32 @@
+// services/channels/memoryChannel.js
+// In-memory transport for tests and local development: nothing leaves the
+// process, every send is kept in `sent`.
+
+/**
+ * createMemoryChannel('sms') -> channel with a `sent` array.
+ * Pass { fail: true } to simulate a broken provider (exercises fallbacks).
+ */
+export const createMemoryChannel = (name, { fail = false } = {}) => {
+  const channel = {
+    name,
+    sent: [],
+    fail,
+
+    address: (recipient) => {
+      if (name === 'email') return recipient.email || null;
+      if (name === 'webhook') return recipient.webhookUrl || null;
+      return recipient.phone || null;
+    },
+
+    async send(message) {
+      if (channel.fail) throw new Error(`${name} transport unavailable`);
+      channel.sent.push({ ...message, channel: name, at: new Date() });
+      return { id: `memory-${name}-${channel.sent.length}` };
+    },
+
+    clear() {
+      channel.sent.length = 0;
+    },
+  };
+  return channel;
+};
@@ -0,0 +1,39 @@
+// services/channels/twilioChannel.js
+import twilio from 'twilio';
+import { formatPhoneNumber } from '../../utils/phone.js';
+
+// Twilio sandbox sender, used until TWILIO_WHATSAPP_FROM is configured
+const SANDBOX_WHATSAPP_FROM = '+14155238886';
+
+let client = null;
+const getClient = () => {
+  if (!client) client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return client;
+};
+
+/**
+ * Twilio delivery over plain SMS or WhatsApp.
+ * kind: 'sms' | 'whatsapp'
+ */
+export const createTwilioChannel = (kind) => ({
+  name: kind,
+
+  address: (recipient) => (recipient.phone ? formatPhoneNumber(recipient.phone) : null),
+
+  async send({ to, text }) {
+    const from = kind === 'whatsapp'
+      ? `whatsapp:${process.env.TWILIO_WHATSAPP_FROM || SANDBOX_WHATSAPP_FROM}`
+      : process.env.TWILIO_SMS_FROM;
+    if (!from) throw new Error(`No Twilio sender configured for ${kind}`);
+
+    const message = await getClient().messages.create({
+      from,
+      to: kind === 'whatsapp' ? `whatsapp:${to}` : to,
+      body: text,
+    });
+    return { id: message.sid };
+  },
+});
+
+export const smsChannel = createTwilioChannel('sms');
+export const whatsappChannel = createTwilioChannel('whatsapp');
@@ -0,0 +1,21 @@
+// services/channels/webhookChannel.js
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Generic HTTP delivery: POSTs the notification as JSON to the recipient's URL
+export default {
+  name: 'webhook',
+
+  address: (recipient) => recipient.webhookUrl || null,
+
+  async send({ to, subject, text, data }) {
+    const res = await fetch(to, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'nexora-notifications' },
+      body: JSON.stringify({ subject, text, data }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`Webhook responded with HTTP ${res.status}`);
+    return { id: res.headers.get('x-request-id') || null };
+  },
+};
@@ -0,0 +1,188 @@
+// services/contacts.js
+// Keeps the Contact collection in step with form submissions, builds a
+// contact's timeline and merges duplicates.
+import Contact, { CONTACT_STAGES } from '../models/Contact.js';
+import Message from '../models/Message.js';
+import Schedule from '../models/Schedule.js';
+import { formatPhoneNumber } from '../utils/phone.js';
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase() || null;
+
+/** E.164, or null for values too short to be a phone number */
+export const normalizePhone = (phone) =>
+  String(phone || '').replace(/\D/g, '').length >= 7 ? formatPhoneNumber(phone) : null;
+
+const COUNTERS = { message: 'messageCount', meeting: 'meetingCount' };
+
+/**
+ * Find the contact for a submission (email match first, then phone) or create one,
+ * and record the interaction on it. kind: 'message' | 'meeting'.
+ * The contact is upserted in one update, so simultaneous submissions from the same
+ * person land on one contact (Contact has a unique index on emails). Call it once
+ * the submission is saved, so a failed save never counts.
+ * Returns the contact, or null when the submission has neither email nor phone
+ * or the lookup failed (logged; a CRM hiccup must not lose the submission).
+ */
+export const matchContact = async ({ kind, name, email, phone, companyName, role, at = new Date() }) => {
+  const emailKey = normalizeEmail(email);
+  const phoneKey = normalizePhone(phone);
+  if (!emailKey && !phoneKey) return null;
+
+  const trimmedName = name ? String(name).trim() : '';
+  const update = {
+    $addToSet: {
+      ...(emailKey ? { emails: emailKey } : {}),
+      ...(phoneKey ? { phones: phoneKey } : {}),
+    },
+    $setOnInsert: {
+      ...(trimmedName ? { name: trimmedName } : {}),
+      ...(emailKey ? { email: emailKey } : {}),
+      ...(phoneKey ? { phone: phoneKey } : {}),
+    },
+    $inc: { [COUNTERS[kind]]: 1 },
+    $min: { firstSeenAt: at },
+    $max: { lastInteractionAt: at },
+    ...(companyName || role
+      ? {
+        $set: {
+          ...(companyName ? { companyName: String(companyName).trim() } : {}),
+          ...(role ? { role: String(role).trim() } : {}),
+        },
+      }
+      : {}),
+  };
+
+  const upsert = async () => {
+    // $elemMatch rather than equality, so an insert does not copy the address into
+    // the new document as a plain string before $addToSet runs.
+    // A phone match is only used when no contact has the email yet.
+    let filter = emailKey ? { emails: { $elemMatch: { $eq: emailKey } } } : { phones: { $elemMatch: { $eq: phoneKey } } };
+    if (emailKey && phoneKey && !(await Contact.exists(filter))) {
+      const byPhone = await Contact.exists({ phones: phoneKey });
+      if (byPhone) filter = { _id: byPhone._id };
+    }
+    return Contact.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  };
+
+  try {
+    let contact;
+    try {
+      contact = await upsert();
+    } catch (err) {
+      // Another submission created the contact between our lookup and insert: use it
+      if (err.code !== 11000) throw err;
+      contact = await upsert();
+    }
+
+    // An existing contact gets the name and primary address/number only where it has none
+    const fill = [
+      ['name', trimmedName],
+      ['email', emailKey],
+      ['phone', phoneKey],
+    ].filter(([field, value]) => value && !contact[field]);
+    for (const [field, value] of fill) {
+      contact = (await Contact.findOneAndUpdate(
+        { _id: contact._id, [field]: { $in: [null, ''] } },
+        { $set: { [field]: value } },
+        { new: true }
+      )) || contact;
+    }
+
+    return contact;
+  } catch (err) {
+    console.error('CONTACT MATCH ERROR:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Match the contact for a saved submission (a Message or Schedule) and point the
+ * submission at it. Returns the contact or null, like matchContact.
+ */
+export const linkContact = async (submission, details) => {
+  const contact = await matchContact(details);
+  if (!contact) return null;
+
+  try {
+    await submission.constructor.updateOne({ _id: submission._id }, { $set: { contact: contact._id } });
+    submission.contact = contact._id;
+  } catch (err) {
+    console.error('CONTACT LINK ERROR:', err.message);
+  }
+  return contact;
+};
+
+/** Messages, replies and meeting requests for a contact, newest first. */
+export const contactTimeline = async (contactId) => {
+  const [messages, meetings] = await Promise.all([
+    Message.find({ contact: contactId })
+      .select('date status priority message thread.direction thread.subject thread.sentAt thread.sentByEmail')
+      .lean(),
+    Schedule.find({ contact: contactId })
+      .select('dateSubmitted startsAt durationMinutes timeZone status companyName message')
+      .lean(),
+  ]);
+
+  const entries = [];
+  for (const m of messages) {
+    entries.push({ type: 'message', id: m._id, at: m.date, status: m.status, priority: m.priority, summary: m.message });
+    for (const t of m.thread || []) {
+      if (t.direction !== 'outbound') continue;
+      entries.push({ type: 'reply', id: m._id, at: t.sentAt, summary: t.subject, by: t.sentByEmail });
+    }
+  }
+  for (const s of meetings) {
+    entries.push({
+      type: 'meeting',
+      id: s._id,
+      at: s.dateSubmitted,
+      status: s.status,
+      startsAt: s.startsAt,
+      durationMinutes: s.durationMinutes,
+      timeZone: s.timeZone,
+      summary: s.message,
+    });
+  }
+
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+/**
+ * Fold `duplicates` into `primary`: addresses and tags are combined, empty fields
+ * filled in, the furthest stage kept, and their messages/meetings re-pointed.
+ * The duplicates are deleted. Returns the saved primary.
+ */
+export const mergeContacts = async (primary, duplicates) => {
+  const ids = duplicates.map((d) => d._id);
+
+  for (const dup of duplicates) {
+    for (const e of dup.emails) primary.emails.addToSet(e);
+    for (const p of dup.phones) primary.phones.addToSet(p);
+    for (const t of dup.tags) primary.tags.addToSet(t);
+
+    for (const field of ['name', 'email', 'phone', 'companyName', 'role']) {
+      if (!primary[field] && dup[field]) primary[field] = dup[field];
+    }
+    if (CONTACT_STAGES.indexOf(dup.stage) > CONTACT_STAGES.indexOf(primary.stage)) primary.stage = dup.stage;
+    if (dup.firstSeenAt < primary.firstSeenAt) primary.firstSeenAt = dup.firstSeenAt;
+    if (dup.lastInteractionAt > primary.lastInteractionAt) primary.lastInteractionAt = dup.lastInteractionAt;
+  }
+
+  await Promise.all([
+    Message.updateMany({ contact: { $in: ids } }, { $set: { contact: primary._id } }),
+    Schedule.updateMany({ contact: { $in: ids } }, { $set: { contact: primary._id } }),
+  ]);
+
+  const [messageCount, meetingCount] = await Promise.all([
+    Message.countDocuments({ contact: primary._id }),
+    Schedule.countDocuments({ contact: primary._id }),
+  ]);
+  primary.messageCount = messageCount;
+  primary.meetingCount = meetingCount;
+
+  // The duplicates go first: their addresses now belong to the primary (emails are unique)
+  for (const dup of duplicates) await dup.deleteOne();
+  await primary.save();
+
+  return primary;
+};
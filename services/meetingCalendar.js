@@ -0,0 +1,78 @@
+// services/meetingCalendar.js
+// Meetings as iCalendar events: the invite/cancellation attached to requester
+// emails, and the feed of confirmed meetings the team subscribes to.
+import crypto from 'crypto';
+import { buildCalendar } from '../utils/ical.js';
+import { hashToken } from '../utils/tokens.js';
+import { meetingInterval } from './availability.js';
+import { localTime } from './meetingTimes.js';
+
+// UIDs must stay the same for the life of a meeting so calendar apps update it in place
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'nexoracrew.com';
+const FEED_NAME = 'Nexoracrew meetings';
+const FEED_REFRESH_MINUTES = 30;
+
+export const meetingUid = (schedule) => `meeting-${schedule._id}@${UID_DOMAIN}`;
+
+/** The team mailbox that organises every meeting. */
+export const organizer = () => ({
+  name: 'Nexoracrew',
+  email: process.env.ADMIN_NOTIFY_EMAIL || process.env.GMAIL_USER,
+});
+
+/**
+ * One VEVENT for a meeting. `audience` picks the wording: 'requester' (their invite)
+ * or 'team' (the feed, with the requester's contact details in the description).
+ */
+export const meetingEvent = (schedule, settings, { audience = 'requester' } = {}) => {
+  const interval = meetingInterval(schedule, settings);
+  if (!interval) return null;
+
+  const details = audience === 'team'
+    ? [
+      `${schedule.name} (${schedule.companyName})${schedule.role ? `, ${schedule.role}` : ''}`,
+      `Email: ${schedule.email}`,
+      ...(schedule.mobile ? [`Mobile: ${schedule.mobile}`] : []),
+      ...(schedule.timeZone && schedule.timeZone !== settings.timeZone
+        ? [`Requester's time: ${localTime(interval.start, schedule.timeZone).label}`]
+        : []),
+      '',
+    ]
+    : [];
+
+  return {
+    uid: meetingUid(schedule),
+    sequence: schedule.calendarSequence || 0,
+    start: interval.start,
+    end: interval.end,
+    summary: audience === 'team'
+      ? `Meeting: ${schedule.name} (${schedule.companyName})`
+      : 'Meeting with Nexoracrew',
+    description: [...details, schedule.message || 'No additional message provided.'].join('\n'),
+    organizer: organizer(),
+    attendees: [{ name: schedule.name, email: schedule.email }],
+  };
+};
+
+/** .ics for an email to the requester. method: 'REQUEST' (confirmed / moved) or 'CANCEL'. */
+export const meetingInvite = (schedule, settings, method = 'REQUEST') => {
+  const event = meetingEvent(schedule, settings);
+  return event ? buildCalendar({ method, events: [event] }) : null;
+};
+
+/** Subscribable feed of (confirmed) meetings. */
+export const meetingFeed = (schedules, settings) =>
+  buildCalendar({
+    method: 'PUBLISH',
+    name: FEED_NAME,
+    refreshMinutes: FEED_REFRESH_MINUTES,
+    events: schedules.map((s) => meetingEvent(s, settings, { audience: 'team' })).filter(Boolean),
+  });
+
+/** Feed access: ?token= must equal CALENDAR_FEED_TOKEN. Returns null when the feed is switched off. */
+export const feedTokenValid = (token) => {
+  const expected = process.env.CALENDAR_FEED_TOKEN;
+  if (!expected) return null;
+  // Compare digests so the comparison is constant-time whatever the lengths
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token || '')), Buffer.from(hashToken(expected)));
+};
@@ -0,0 +1,47 @@
+// services/meetingManage.js
+// Signed links that let a requester view, cancel or move their own booking
+// without an account. The token names the meeting and the version of its time
+// (Schedule.manageVersion), and stops working once the meeting starts.
+import jwt from 'jsonwebtoken';
+import { PUBLIC_SITE_URL } from '../config/mailer.js';
+import { meetingInterval } from './availability.js';
+
+const PURPOSE = 'meeting-manage';
+// A link is kept usable for at least this long, even for a meeting that is about to start
+const MIN_TTL_SECONDS = 60 * 60;
+
+const secret = () => process.env.MEETING_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/** Token for `schedule` at its current time. Expiry is checked against the meeting in manageLinkValid. */
+export const signManageToken = (schedule) =>
+  jwt.sign(
+    { purpose: PURPOSE, v: schedule.manageVersion || 0 },
+    secret(),
+    { subject: String(schedule._id) }
+  );
+
+/** { id, version, issuedAt } from a token, or null if it is not a valid manage token. */
+export const verifyManageToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ''), secret());
+    if (payload.purpose !== PURPOSE) return null;
+    return { id: payload.sub, version: payload.v || 0, issuedAt: new Date(payload.iat * 1000) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Is a verified token still good for `schedule`? Only the link for the meeting's
+ * current time works, until it starts (or MIN_TTL_SECONDS after signing, if later).
+ */
+export const manageLinkValid = (link, schedule, settings, now = new Date()) => {
+  if (link.version !== (schedule.manageVersion || 0)) return false;
+  const interval = meetingInterval(schedule, settings);
+  const expires = Math.max(interval ? interval.start.getTime() : 0, link.issuedAt.getTime() + MIN_TTL_SECONDS * 1000);
+  return now.getTime() < expires;
+};
+
+/** Page on the public site where the requester manages the booking. */
+export const manageUrl = (schedule) =>
+  `${PUBLIC_SITE_URL}/meetings/manage/${signManageToken(schedule)}`;
@@ -0,0 +1,80 @@
+// services/meetingTimes.js
+// A meeting is stored as a UTC start, a duration and the requester's time zone.
+// This renders it for the requester (their zone) and the team (the admin's zone),
+// and turns a requested date/time into that UTC start.
+import { zonedParts, zonedTimeToUtc, isValidTimeZone } from '../utils/zonedTime.js';
+import { calendarDay, normalizeTime } from './availability.js';
+
+const MINUTE = 60 * 1000;
+
+const dayFormatters = new Map();
+// "Wed, 21 Oct 2026"
+const formatDay = (instant, timeZone) => {
+  if (!dayFormatters.has(timeZone)) {
+    dayFormatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+    }));
+  }
+  return dayFormatters.get(timeZone).format(instant);
+};
+
+/** `instant` in `timeZone`: { timeZone, date: 'YYYY-MM-DD', time: 'HH:mm', formattedDate, label } */
+export const localTime = (instant, timeZone) => {
+  const p = zonedParts(instant, timeZone);
+  const formattedDate = formatDay(instant, timeZone);
+  return { timeZone, date: p.date, time: p.time, formattedDate, label: `${formattedDate}, ${p.time} (${timeZone})` };
+};
+
+export const meetingEnd = (schedule) =>
+  new Date(new Date(schedule.startsAt).getTime() + schedule.durationMinutes * MINUTE);
+
+/** API view: the UTC instants plus the meeting in the requester's and the admin's zone. */
+export const meetingTimes = (schedule, adminTimeZone) => {
+  const start = new Date(schedule.startsAt);
+  return {
+    startsAt: start,
+    endsAt: meetingEnd(schedule),
+    durationMinutes: schedule.durationMinutes,
+    requester: localTime(start, schedule.timeZone || adminTimeZone),
+    admin: localTime(start, adminTimeZone),
+  };
+};
+
+/**
+ * Email template fields for the meeting in `timeZone`: { startsAt, formattedDate, meetingTime, timeZone }.
+ * Team emails also get the requester's own time (requesterTime) when their zone differs.
+ */
+export const meetingTimeFields = (schedule, timeZone) => {
+  const local = localTime(new Date(schedule.startsAt), timeZone);
+  return {
+    startsAt: schedule.startsAt,
+    formattedDate: local.formattedDate,
+    meetingTime: local.time,
+    timeZone,
+    ...(schedule.timeZone && schedule.timeZone !== timeZone
+      ? { requesterTime: localTime(new Date(schedule.startsAt), schedule.timeZone).label }
+      : {}),
+  };
+};
+
+/**
+ * The start instant a client asked for: either `startsAt` (ISO 8601 with an offset)
+ * or `meetingDate` ('YYYY-MM-DD') + `meetingTime` ('HH:mm') read in `timeZone`.
+ * Returns { startsAt } or { error } (the error is shown to the client).
+ */
+export const parseRequestedStart = ({ startsAt, meetingDate, meetingTime }, timeZone) => {
+  if (startsAt !== undefined) {
+    const instant = new Date(startsAt);
+    return /(Z|[+-]\d{2}:?\d{2})$/i.test(String(startsAt)) && !Number.isNaN(instant.getTime())
+      ? { startsAt: instant }
+      : { error: 'startsAt must be an ISO 8601 date-time with a time zone offset.' };
+  }
+
+  const day = typeof meetingDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(meetingDate) ? calendarDay(meetingDate) : null;
+  if (!day) return { error: 'meetingDate must be a date (YYYY-MM-DD).' };
+  const time = normalizeTime(meetingTime);
+  if (!time) return { error: 'meetingTime must be a time of day (HH:mm).' };
+  if (!isValidTimeZone(timeZone)) return { error: 'timeZone must be an IANA time zone (e.g. Europe/Berlin).' };
+
+  return { startsAt: zonedTimeToUtc(day, time, timeZone) };
+};
@@ -0,0 +1,45 @@
+// services/notifications/index.js
+// The one way routes send notifications: notify() renders the event for each
+// configured channel and stores it in the outbox. Delivery happens in the worker.
+import Notification from '../../models/Notification.js';
+import { EVENT_CHANNELS, MAX_ATTEMPTS } from '../../config/notifications.js';
+import { renderNotification } from './templates.js';
+import { resolveTargets, targetsFor } from './routing.js';
+import { kickWorker } from './worker.js';
+
+/**
+ * Queue `event` for everyone its routing rule names (see routing.js).
+ * entity: { entityType, entityId } of the document it is about.
+ * Pass `recipient` ({ email, phone }) to address one person instead, e.g. an acknowledgement.
+ * Returns the created outbox entries.
+ */
+export const notify = async (event, data, { entityType, entityId, recipient } = {}) => {
+  const targets = recipient
+    ? targetsFor(EVENT_CHANNELS[event] || [], recipient)
+    : await resolveTargets(event);
+
+  if (!targets.length) {
+    console.warn(`⚠️ [Notify] ${event}: no recipients configured or the event is switched off`);
+    return [];
+  }
+
+  const created = await Notification.insertMany(targets.map(({ channel, to, notBefore }) => ({
+    event,
+    channel,
+    to,
+    payload: renderNotification(event, channel, data),
+    entityType,
+    entityId,
+    maxAttempts: MAX_ATTEMPTS,
+    ...(notBefore ? { nextAttemptAt: notBefore } : {}),
+  })));
+  kickWorker();
+  return created;
+};
+
+export {
+  processDueNotifications,
+  startNotificationWorker,
+  stopNotificationWorker,
+  kickWorker,
+} from './worker.js';
@@ -0,0 +1,88 @@
+// services/notifications/routing.js
+// Turns an event into outbox targets using the admin-managed NotificationRule,
+// or the config defaults when the event has no rule yet.
+import NotificationRule from '../../models/NotificationRule.js';
+import { getChannel } from '../channels/index.js';
+import {
+  NOTIFICATION_EVENTS,
+  EVENT_CHANNELS,
+  DEFAULT_QUIET_CHANNELS,
+  adminRecipient,
+} from '../../config/notifications.js';
+
+// Rule field holding the addresses for each channel
+export const RULE_FIELDS = {
+  email: 'emails',
+  sms: 'smsNumbers',
+  whatsapp: 'whatsappNumbers',
+  webhook: 'webhookUrls',
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const clockMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const minutesInZone = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+/**
+ * If `now` falls inside the quiet hours, the moment they end; otherwise null.
+ * Windows may wrap midnight (22:00 -> 07:00).
+ */
+export const quietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return null;
+
+  const start = clockMinutes(quietHours.start);
+  const end = clockMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const current = minutesInZone(now, quietHours.timeZone || 'UTC');
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const intoMinute = now.getUTCSeconds() * 1000 + now.getUTCMilliseconds();
+  return new Date(now.getTime() + minutesLeft * 60 * 1000 - intoMinute);
+};
+
+const addTarget = (targets, channelName, recipient, notBefore) => {
+  const to = getChannel(channelName)?.address(recipient);
+  if (!to || targets.some((t) => t.channel === channelName && t.to === to)) return;
+  targets.push({ channel: channelName, to, ...(notBefore ? { notBefore } : {}) });
+};
+
+/** Targets for an explicit recipient ({ email, phone, webhookUrl }) over `channels`. */
+export const targetsFor = (channels, recipient) => {
+  const targets = [];
+  for (const name of channels) addTarget(targets, name, recipient);
+  return targets;
+};
+
+/** [{ channel, to, notBefore? }] for `event`; notBefore is set for channels held by quiet hours. */
+export const resolveTargets = async (event, now = new Date()) => {
+  const rule = NOTIFICATION_EVENTS[event] ? await NotificationRule.findOne({ event }).lean() : null;
+  if (!rule) return targetsFor(EVENT_CHANNELS[event] || [], adminRecipient());
+  if (!rule.enabled) return [];
+
+  const quietUntil = quietHoursEnd(rule.quietHours, now);
+  const held = rule.quietHours?.channels?.length ? rule.quietHours.channels : DEFAULT_QUIET_CHANNELS;
+
+  const targets = [];
+  for (const [channelName, field] of Object.entries(RULE_FIELDS)) {
+    const notBefore = quietUntil && held.includes(channelName) ? quietUntil : null;
+    for (const value of rule[field] || []) {
+      addTarget(targets, channelName, { email: value, phone: value, webhookUrl: value }, notBefore);
+    }
+  }
+  return targets;
+};
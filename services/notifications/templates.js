@@ -0,0 +1,380 @@
+// services/notifications/templates.js
+// Renders an event's data into what each channel sends. Everything the visitor
+// typed is escaped before it goes into HTML.
+import { escapeHtml } from '../../utils/html.js';
+
+// "14:30 (Asia/Kolkata)": meeting times are always shown with their zone
+const timeWithZone = (d) => `${d.meetingTime}${d.timeZone ? ` (${d.timeZone})` : ''}`;
+// Team emails also show the time the requester sees, when they are in another zone
+const requesterTimeLine = (d) => (d.requesterTime ? `\nRequester's time: ${d.requesterTime}` : '');
+const requesterTimeHtml = (d) => (d.requesterTime ? `<p>Requester's time: ${escapeHtml(d.requesterTime)}</p>` : '');
+
+const messageReceived = {
+  email: (d) => ({
+    fromName: 'Nexoracrew Form',
+    replyTo: d.email, // 👈 ALLOWS YOU TO CLICK 'REPLY' TO ANSWER THE USER
+    subject: `📬 New Inquiry from ${d.name}`,
+    text: `New contact message\n\nName: ${d.name}\nEmail: ${d.email}\nMobile: ${d.mobile}\n\n${d.message}\n\nMessage ID: ${d.id}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px; max-width: 600px;">
+        <h2 style="color: #123165; border-bottom: 2px solid #D4A937; padding-bottom: 10px;">New Contact Message</h2>
+
+        <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">
+          <tr>
+            <td style="padding: 8px 0; font-weight: bold; width: 80px;">👤 Name:</td>
+            <td>${escapeHtml(d.name)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px 0; font-weight: bold;">📧 Email:</td>
+            <td style="color: #1a73e8; font-weight: bold;">${escapeHtml(d.email)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px 0; font-weight: bold;">📱 Mobile:</td>
+            <td>${escapeHtml(d.mobile)}</td>
+          </tr>
+        </table>
+
+        <div style="margin-top: 20px;">
+          <p style="font-weight: bold; margin-bottom: 5px;">💬 Message:</p>
+          <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid #D4A937; border-radius: 4px; font-style: italic;">
+            "${escapeHtml(d.message)}"
+          </div>
+        </div>
+
+        <br/>
+        <hr style="border: 0; border-top: 1px solid #eee;" />
+        <small style="color: #888;">Message ID: ${d.id}</small>
+      </div>
+    `,
+  }),
+
+  text: (d) => ({
+    text: `🔔 *New Inquiry*\n\n👤 *Name:* ${d.name}\n📧 *Email:* ${d.email}\n📱 *Mobile:* ${d.mobile}\n💬 *Msg:* ${d.message}`,
+  }),
+};
+
+const scheduleRequested = {
+  email: (d) => {
+    const row = (label, value, shaded) => `
+          <tr${shaded ? ' style="background-color: #f8f9fa;"' : ''}>
+            <td style="padding: 10px; border: 1px solid #ddd;"><strong>${label}:</strong></td>
+            <td style="padding: 10px; border: 1px solid #ddd;">${value}</td>
+          </tr>`;
+
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      replyTo: d.email,
+      subject: '📅 New Meeting Request - Nexoracrew',
+      text: `New meeting request\n\nName: ${d.name}\nCompany: ${d.companyName}\nRole: ${d.role || 'N/A'}\nEmail: ${d.email}\nMobile: ${d.mobile || 'N/A'}\nDate: ${d.formattedDate}\nTime: ${timeWithZone(d)}${requesterTimeLine(d)}\n\n${d.message || 'No additional message provided.'}\n\nRequest ID: ${d.id}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Meeting Request</h2>
+        <p>A new meeting has been scheduled via the portal.</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+          ${row('Status', '<span style="color: orange;">Pending</span>', true)}
+          ${row('Name', escapeHtml(d.name))}
+          ${row('Company', escapeHtml(d.companyName), true)}
+          ${row('Role', escapeHtml(d.role || 'N/A'))}
+          ${row('Email', `<a href="mailto:${escapeHtml(d.email)}">${escapeHtml(d.email)}</a>`, true)}
+          ${row('Mobile', escapeHtml(d.mobile || 'N/A'))}
+          ${row('Date', escapeHtml(d.formattedDate), true)}
+          ${row('Time', escapeHtml(timeWithZone(d)))}
+          ${d.requesterTime ? row("Requester's time", escapeHtml(d.requesterTime), true) : ''}
+        </table>
+
+        <div style="margin-top: 20px; padding: 15px; background-color: #f1f1f1; border-left: 5px solid #007bff;">
+          <strong>📝 Message:</strong><br/>
+          <p style="margin-top: 5px;">${escapeHtml(d.message || 'No additional message provided.')}</p>
+        </div>
+
+        <p style="font-size: 12px; color: #888; margin-top: 30px;">Request ID: ${d.id}</p>
+      </div>
+    `,
+    };
+  },
+
+  text: (d) => ({
+    text: `📅 *New Meeting Request - Nexoracrew*\n\n` +
+      `👤 *Name:* ${d.name}\n` +
+      `🏢 *Company:* ${d.companyName}\n` +
+      `💼 *Role:* ${d.role || 'N/A'}\n` +
+      `📧 *Email:* ${d.email}\n` +
+      `📱 *Mobile:* ${d.mobile || 'N/A'}\n` +
+      `------------------\n` +
+      `🗓 *Date:* ${d.formattedDate}\n` +
+      `⏰ *Time:* ${timeWithZone(d)}\n` +
+      `📊 *Status:* Pending\n` +
+      `------------------\n` +
+      `📝 *Message:* ${d.message || 'No message'}`,
+  }),
+};
+
+const scheduleCancelled = {
+  email: (d) => ({
+    fromName: 'Nexoracrew Scheduler',
+    subject: `❌ Meeting cancelled: ${d.name} (${d.companyName}) on ${d.formattedDate}`,
+    text: `The meeting with ${d.name} (${d.companyName}) on ${d.formattedDate} at ${timeWithZone(d)} was cancelled${d.cancelledBy ? ` by ${d.cancelledBy}` : ''}.${requesterTimeLine(d)}${d.reason ? `\n\nReason: ${d.reason}` : ''}\n\nRequest ID: ${d.id}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Meeting Cancelled</h2>
+        <p>The meeting with <strong>${escapeHtml(d.name)}</strong> (${escapeHtml(d.companyName)})
+          on <strong>${escapeHtml(d.formattedDate)}</strong> at <strong>${escapeHtml(timeWithZone(d))}</strong>
+          was cancelled${d.cancelledBy ? ` by ${escapeHtml(d.cancelledBy)}` : ''}.</p>
+        ${requesterTimeHtml(d)}
+        ${d.reason ? `<p><strong>Reason:</strong> ${escapeHtml(d.reason)}</p>` : ''}
+        <p style="font-size: 12px; color: #888; margin-top: 30px;">Request ID: ${d.id}</p>
+      </div>
+    `,
+  }),
+
+  text: (d) => ({
+    text: `❌ *Meeting Cancelled*\n\n👤 ${d.name} (${d.companyName})\n🗓 ${d.formattedDate} ⏰ ${timeWithZone(d)}`,
+  }),
+};
+
+const scheduleRescheduled = {
+  email: (d) => ({
+    fromName: 'Nexoracrew Scheduler',
+    replyTo: d.email,
+    subject: `🔁 Meeting moved: ${d.name} (${d.companyName}) to ${d.formattedDate} at ${d.meetingTime}`,
+    text: `${d.name} (${d.companyName}) moved their ${d.status} meeting from ${d.previousSlot} to ${d.formattedDate} at ${timeWithZone(d)} using their booking link.${requesterTimeLine(d)}\n\nRequest ID: ${d.id}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Meeting Moved</h2>
+        <p><strong>${escapeHtml(d.name)}</strong> (${escapeHtml(d.companyName)}) moved their ${escapeHtml(d.status)} meeting
+          from <strong>${escapeHtml(d.previousSlot)}</strong>
+          to <strong>${escapeHtml(d.formattedDate)}</strong> at <strong>${escapeHtml(timeWithZone(d))}</strong>
+          using their booking link.</p>
+        ${requesterTimeHtml(d)}
+        <p style="font-size: 12px; color: #888; margin-top: 30px;">Request ID: ${d.id}</p>
+      </div>
+    `,
+  }),
+
+  text: (d) => ({
+    text: `🔁 *Meeting Moved*\n\n👤 ${d.name} (${d.companyName})\n🗓 ${d.previousSlot} → ${d.formattedDate} ⏰ ${timeWithZone(d)}`,
+  }),
+};
+
+const certificateIssued = {
+  email: (d) => ({
+    fromName: 'Nexoracrew Certificates',
+    subject: `🎓 Certificate ${d.certificateID} issued to ${d.studentName}`,
+    text: `Certificate ${d.certificateID} was issued to ${d.studentName} on ${d.formattedDate}.\n\n${d.pdfUrl}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #123165;">Certificate Issued</h2>
+        <p>Certificate <strong>${escapeHtml(d.certificateID)}</strong> was issued to
+          <strong>${escapeHtml(d.studentName)}</strong> on ${escapeHtml(d.formattedDate)}.</p>
+        <p><a href="${escapeHtml(d.pdfUrl)}">View the PDF</a></p>
+      </div>
+    `,
+  }),
+
+  text: (d) => ({
+    text: `🎓 *Certificate Issued*\n\n${d.certificateID} → ${d.studentName} (${d.formattedDate})`,
+  }),
+};
+
+// ---- Acknowledgements to the person who submitted the form ----
+
+// manageUrl (meeting emails): the requester's link to cancel or move the booking
+const ackLayout = (heading, intro, rows, reference, manageUrl) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <h2 style="color: #123165; border-bottom: 2px solid #D4A937; padding-bottom: 10px;">${heading}</h2>
+        <p>${intro}</p>
+
+        <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">
+          ${rows.map(([label, value]) => `
+          <tr>
+            <td style="padding: 8px 0; font-weight: bold; width: 140px; vertical-align: top;">${label}:</td>
+            <td style="padding: 8px 0;">${escapeHtml(value).replace(/\n/g, '<br/>')}</td>
+          </tr>`).join('')}
+        </table>
+
+        <p style="margin-top: 20px;">Your reference number is <strong>${reference}</strong>. Please quote it if you contact us about this request.</p>
+        ${manageUrl ? `<p>Need to change your plans? <a href="${escapeHtml(manageUrl)}">Cancel or move this meeting</a>.</p>` : ''}
+        <p>— The Nexoracrew team</p>
+      </div>
+    `;
+
+const ackText = (intro, rows, reference, manageUrl) =>
+  `${intro}\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}\n\nReference number: ${reference}` +
+  `${manageUrl ? `\n\nNeed to change your plans? Cancel or move this meeting: ${manageUrl}` : ''}\n\n— The Nexoracrew team`;
+
+const messageAcknowledgement = {
+  email: (d) => {
+    const intro = `Hi ${d.name}, thanks for getting in touch. We have received your message and will get back to you soon. Here is what you sent us:`;
+    const rows = [['Name', d.name], ['Email', d.email], ['Mobile', d.mobile], ['Message', d.message]];
+    return {
+      fromName: 'Nexoracrew',
+      subject: `We received your message (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id),
+      html: ackLayout('Thanks for your message', escapeHtml(intro), rows, d.id),
+    };
+  },
+
+  text: (d) => ({ text: `Thanks ${d.name}, we received your message. Reference: ${d.id}` }),
+};
+
+const scheduleAcknowledgement = {
+  email: (d) => {
+    const intro = d.rescheduled
+      ? `Hi ${d.name}, your meeting request has been moved to the time below. It is still pending; we will confirm the slot shortly. Please use the link in this email from now on:`
+      : `Hi ${d.name}, thanks for booking a meeting with us. Your request is pending; we will confirm the slot shortly. Here are the details you sent:`;
+    const rows = [
+      ['Requested date', d.formattedDate],
+      ['Requested time', timeWithZone(d)],
+      ['Name', d.name],
+      ['Company', d.companyName],
+      ['Role', d.role || 'N/A'],
+      ['Email', d.email],
+      ['Mobile', d.mobile || 'N/A'],
+      ['Message', d.message || 'No additional message provided.'],
+    ];
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      subject: `${d.rescheduled ? 'Meeting request moved to' : 'Meeting request received for'} ${d.formattedDate} at ${d.meetingTime} (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id, d.manageUrl),
+      html: ackLayout(d.rescheduled ? 'Meeting request moved' : 'Meeting request received', escapeHtml(intro), rows, d.id, d.manageUrl),
+    };
+  },
+
+  text: (d) => ({
+    text: `Thanks ${d.name}, we received your meeting request for ${d.formattedDate} at ${d.meetingTime}. Reference: ${d.id}`,
+  }),
+};
+
+// ---- Status emails to the requester (d.invite is the .ics, see services/meetingCalendar.js) ----
+
+const attachInvite = (d, method) =>
+  (d.invite ? { icalEvent: { method, filename: 'meeting.ics', content: d.invite } } : {});
+
+const scheduleConfirmation = {
+  email: (d) => {
+    const intro = d.rescheduled
+      ? `Hi ${d.name}, your meeting with Nexoracrew has been moved. The new time is below, and the attached invite updates your calendar.`
+      : `Hi ${d.name}, your meeting with Nexoracrew is confirmed. The attached invite adds it to your calendar.`;
+    const rows = [
+      ['Date', d.formattedDate],
+      ['Time', timeWithZone(d)],
+      ['Company', d.companyName],
+      ['Message', d.message || 'No additional message provided.'],
+    ];
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      subject: `${d.rescheduled ? 'Meeting moved' : 'Meeting confirmed'}: ${d.formattedDate} at ${d.meetingTime} (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id, d.manageUrl),
+      html: ackLayout(d.rescheduled ? 'Meeting moved' : 'Meeting confirmed', escapeHtml(intro), rows, d.id, d.manageUrl),
+      ...attachInvite(d, 'REQUEST'),
+    };
+  },
+
+  text: (d) => ({
+    text: `Your meeting with Nexoracrew on ${d.formattedDate} at ${d.meetingTime} is confirmed. Reference: ${d.id}`,
+  }),
+};
+
+const scheduleCancellation = {
+  email: (d) => {
+    // d.cancelledByRequester: they cancelled it themselves (manage link), so confirm rather than decline
+    const calendarNote = d.invite ? ' The attached cancellation removes it from your calendar.' : '';
+    let intro;
+    if (d.cancelledByRequester) {
+      intro = d.invite
+        ? `Hi ${d.name}, your meeting with Nexoracrew has been cancelled as you asked.${calendarNote}`
+        : `Hi ${d.name}, your meeting request has been cancelled as you asked.`;
+    } else {
+      intro = d.invite
+        ? `Hi ${d.name}, your meeting with Nexoracrew has been cancelled.${calendarNote}`
+        : `Hi ${d.name}, unfortunately we are unable to take your meeting request.`;
+    }
+    const rows = [
+      ['Date', d.formattedDate],
+      ['Time', timeWithZone(d)],
+      ['Company', d.companyName],
+      ['Reason', d.reason || 'No reason given.'],
+    ];
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      subject: `Meeting cancelled: ${d.formattedDate} at ${d.meetingTime} (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id),
+      html: ackLayout('Meeting cancelled', escapeHtml(intro), rows, d.id),
+      ...attachInvite(d, 'CANCEL'),
+    };
+  },
+
+  text: (d) => ({
+    text: `Your meeting with Nexoracrew on ${d.formattedDate} at ${d.meetingTime} was cancelled. Reference: ${d.id}`,
+  }),
+};
+
+const scheduleCompleted = {
+  email: (d) => {
+    const intro = `Hi ${d.name}, thank you for meeting with us. If anything we discussed needs a follow-up, just reply to this email.`;
+    const rows = [
+      ['Date', d.formattedDate],
+      ['Time', timeWithZone(d)],
+      ['Company', d.companyName],
+    ];
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      subject: `Thanks for meeting with us (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id),
+      html: ackLayout('Thanks for meeting with us', escapeHtml(intro), rows, d.id),
+    };
+  },
+
+  text: (d) => ({ text: `Thanks for meeting with Nexoracrew, ${d.name}. Reference: ${d.id}` }),
+};
+
+const scheduleNoShow = {
+  email: (d) => {
+    const intro = `Hi ${d.name}, we were sorry to miss you at our scheduled meeting. If you would still like to talk, please book a new slot.`;
+    const rows = [
+      ['Date', d.formattedDate],
+      ['Time', timeWithZone(d)],
+      ['Company', d.companyName],
+    ];
+    return {
+      fromName: 'Nexoracrew Scheduler',
+      subject: `We missed you on ${d.formattedDate} (ref. ${d.id})`,
+      text: ackText(intro, rows, d.id),
+      html: ackLayout('We missed you', escapeHtml(intro), rows, d.id),
+    };
+  },
+
+  text: (d) => ({ text: `We missed you at our meeting on ${d.formattedDate}, ${d.name}. Reference: ${d.id}` }),
+};
+
+const TEMPLATES = {
+  'message.received': messageReceived,
+  'schedule.requested': scheduleRequested,
+  'schedule.cancelled': scheduleCancelled,
+  'schedule.rescheduled': scheduleRescheduled,
+  'certificate.issued': certificateIssued,
+  'message.acknowledgement': messageAcknowledgement,
+  'schedule.acknowledgement': scheduleAcknowledgement,
+  'schedule.confirmation': scheduleConfirmation,
+  'schedule.cancellation': scheduleCancellation,
+  'schedule.completed': scheduleCompleted,
+  'schedule.no_show': scheduleNoShow,
+};
+
+export const hasTemplate = (event) => Boolean(TEMPLATES[event]);
+
+/**
+ * Payload for channel.send() (minus `to`).
+ * email gets the HTML template, sms/whatsapp the text one, webhook the raw event data.
+ */
+export const renderNotification = (event, channelName, data) => {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`No notification template for '${event}'`);
+
+  if (channelName === 'email') return template.email(data);
+
+  const { text } = template.text(data);
+  if (channelName === 'webhook') return { subject: event, text, data: { event, ...data } };
+  return { text };
+};
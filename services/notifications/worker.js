@@ -0,0 +1,111 @@
+// services/notifications/worker.js
+// Delivers outbox entries. Each entry is claimed atomically (status 'sending' +
+// lockedUntil), so several server instances can run the worker side by side; an
+// entry whose worker died mid-send is picked up again once its lock runs out.
+import Notification from '../../models/Notification.js';
+import { getChannel } from '../channels/index.js';
+import {
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  WORKER_INTERVAL_MS,
+  SEND_LOCK_MS,
+} from '../../config/notifications.js';
+
+/** Delay before retry number `attempts` (1-based), with up to 10% jitter. */
+export const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+const claimNext = () => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/** One delivery attempt; records the outcome and schedules the retry if needed. */
+export const deliver = async (notification) => {
+  const attempts = notification.attempts + 1;
+
+  try {
+    const channel = getChannel(notification.channel);
+    if (!channel) throw new Error(`Unknown channel '${notification.channel}'`);
+
+    const result = await channel.send({ to: notification.to, ...notification.payload });
+    const providerId = result?.id ? String(result.id) : undefined;
+
+    await Notification.updateOne({ _id: notification._id }, {
+      $set: { status: 'sent', attempts, sentAt: new Date(), providerId, lastError: null, lockedUntil: null },
+      $push: { history: { ok: true, providerId } },
+    });
+    console.log(`✅ [Notify] ${notification.event} via ${notification.channel} (${notification._id})`);
+    return true;
+  } catch (err) {
+    const giveUp = attempts >= notification.maxAttempts;
+
+    await Notification.updateOne({ _id: notification._id }, {
+      $set: {
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        lastError: err.message,
+        lockedUntil: null,
+        ...(giveUp ? {} : { nextAttemptAt: new Date(Date.now() + backoffDelay(attempts)) }),
+      },
+      $push: { history: { ok: false, error: err.message } },
+    });
+    console.error(
+      `❌ [Notify] ${notification.event} via ${notification.channel} failed (attempt ${attempts}/${notification.maxAttempts}${giveUp ? ', giving up' : ''}): ${err.message}`
+    );
+    return false;
+  }
+};
+
+let running = false;
+let timer = null;
+
+/** Deliver everything that is due (at most `limit` entries). Returns how many were attempted. */
+export const processDueNotifications = async ({ limit = 50 } = {}) => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    while (processed < limit) {
+      const notification = await claimNext();
+      if (!notification) break;
+      await deliver(notification);
+      processed += 1;
+    }
+  } catch (err) {
+    console.error('NOTIFICATION WORKER ERROR:', err.message);
+  } finally {
+    running = false;
+  }
+  return processed;
+};
+
+/** Ask the worker (if it runs in this process) to look at the outbox now instead of on its next tick. */
+export const kickWorker = () => {
+  if (timer) setImmediate(() => processDueNotifications());
+};
+
+export const startNotificationWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) => {
+  if (timer) return;
+  timer = setInterval(() => processDueNotifications(), intervalMs);
+  timer.unref();
+  console.log(`📮 Notification worker polling every ${Math.round(intervalMs / 1000)}s`);
+  kickWorker();
+};
+
+export const stopNotificationWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
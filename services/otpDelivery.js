@@ -0,0 +1,66 @@
+// services/otpDelivery.js
+// Sends login OTPs over the user's preferred channel, falling back through
+// their fallback order when a channel has no address or its provider fails.
+import { CHANNEL_NAMES, getChannel } from './channels/index.js';
+import { maskEmail, maskPhone } from '../utils/phone.js';
+
+export class OtpDeliveryError extends Error {
+  constructor(attempts) {
+    super(`OTP could not be delivered (${attempts.map((a) => `${a.channel}: ${a.error}`).join('; ') || 'no channel available'})`);
+    this.name = 'OtpDeliveryError';
+    this.attempts = attempts;
+  }
+}
+
+/** Preferred channel first, then fallbacks, then email as the last resort. */
+export const channelOrder = (user, preferred) => {
+  const order = [preferred, user.otpChannel, ...(user.otpFallbackChannels || []), 'email'];
+  return Array.from(new Set(order.filter((c) => CHANNEL_NAMES.includes(c))));
+};
+
+const buildMessage = (channelName, code, { expiresInMinutes, subject }) => {
+  const text = `Your NEXORA Admin login code is ${code}. It is valid for ${expiresInMinutes} minutes. Do not share it.`;
+  if (channelName !== 'email') return { text };
+
+  return {
+    subject,
+    text,
+    html: `
+      <p>Your OTP is:</p>
+      <h2>${code}</h2>
+      <p>Valid for ${expiresInMinutes} minutes.</p>
+    `,
+  };
+};
+
+/**
+ * Deliver `code` to `user`. Returns { channel, destination } (destination masked)
+ * for the channel that succeeded; throws OtpDeliveryError if none did.
+ */
+export const sendOtp = async (user, code, {
+  preferred,
+  expiresInMinutes,
+  subject = 'NEXORA Admin Login OTP',
+} = {}) => {
+  const recipient = { email: user.email, phone: user.phone };
+  const attempts = [];
+
+  for (const name of channelOrder(user, preferred)) {
+    const channel = getChannel(name);
+    const to = channel?.address(recipient);
+    if (!to) continue;
+
+    try {
+      await channel.send({ to, ...buildMessage(name, code, { expiresInMinutes, subject }) });
+      if (attempts.length) {
+        console.warn(`⚠️ OTP for ${user.email} delivered via ${name} after: ${attempts.map((a) => a.channel).join(', ')}`);
+      }
+      return { channel: name, destination: name === 'email' ? maskEmail(to) : maskPhone(to) };
+    } catch (err) {
+      console.error(`❌ OTP via ${name} failed:`, err.message);
+      attempts.push({ channel: name, error: err.message });
+    }
+  }
+
+  throw new OtpDeliveryError(attempts);
+};
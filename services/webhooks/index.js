@@ -0,0 +1,49 @@
+// services/webhooks/index.js
+// emitWebhookEvent() queues one delivery per subscription listening to the event.
+// Like the audit log, failures are logged, never thrown: a broken subscription
+// must not fail the request that triggered it.
+import crypto from 'crypto';
+import WebhookSubscription from '../../models/WebhookSubscription.js';
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import { WEBHOOK_MAX_ATTEMPTS } from '../../config/webhooks.js';
+import { kickWebhookWorker } from './worker.js';
+
+/** The JSON body receivers get: { id, event, createdAt, data } */
+export const buildPayload = (event, data, eventId = crypto.randomUUID()) => ({
+  id: eventId,
+  event,
+  createdAt: new Date().toISOString(),
+  data: JSON.parse(JSON.stringify(data ?? {})),
+});
+
+/** Queue a delivery of `event` to `subscriptions` (documents or ids). */
+export const queueDeliveries = async (subscriptions, payload, extra = {}) => {
+  if (!subscriptions.length) return [];
+
+  const created = await WebhookDelivery.insertMany(subscriptions.map((sub) => ({
+    subscription: sub._id || sub,
+    event: payload.event,
+    eventId: payload.id,
+    payload,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    ...extra,
+  })));
+  kickWebhookWorker();
+  return created;
+};
+
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      active: true,
+      events: { $in: [event, '*'] },
+    }).select('_id');
+
+    return await queueDeliveries(subscriptions, buildPayload(event, data));
+  } catch (err) {
+    console.error(`WEBHOOK EMIT ${event} ERROR:`, err.message);
+    return [];
+  }
+};
+
+export { processDueDeliveries, startWebhookWorker, stopWebhookWorker, kickWebhookWorker } from './worker.js';
@@ -0,0 +1,28 @@
+// services/webhooks/signing.js
+// HMAC signatures for outgoing webhooks. Receivers can import verifySignature
+// (see scripts/webhook-receiver.js) or reimplement the same few lines.
+import crypto from 'crypto';
+
+// Deliveries older than this are rejected by verifySignature
+export const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/** "t=<unix>,v1=<hex>" for the raw JSON `body`. */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+/** Checks a signature header against the raw body; constant-time compare plus a freshness window. */
+export const verifySignature = (secret, body, header, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) => {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map((kv) => kv.trim().split('=')).filter((kv) => kv.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
@@ -0,0 +1,149 @@
+// services/webhooks/worker.js
+// Sends queued webhook deliveries, signing each attempt fresh. Claiming and
+// retries work like the notification outbox (services/notifications/worker.js).
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import WebhookSubscription from '../../models/WebhookSubscription.js';
+import { backoffDelay } from '../notifications/worker.js';
+import { signPayload } from './signing.js';
+import {
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  WEBHOOK_TIMEOUT_MS,
+  RESPONSE_BODY_LIMIT,
+} from '../../config/webhooks.js';
+import { WORKER_INTERVAL_MS, SEND_LOCK_MS } from '../../config/notifications.js';
+
+const claimNext = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/** POST one delivery. Resolves to { responseStatus, responseBody, durationMs }; throws on network errors / non-2xx. */
+const post = async (subscription, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+
+  const res = await fetch(subscription.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'nexora-webhooks',
+      [SIGNATURE_HEADER]: signPayload(subscription.secret, body),
+      [EVENT_HEADER]: delivery.event,
+      [DELIVERY_HEADER]: String(delivery._id),
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    redirect: 'manual',
+  });
+
+  const responseBody = (await res.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+  const result = { responseStatus: res.status, responseBody, durationMs: Date.now() - started };
+
+  if (!res.ok) {
+    const err = new Error(`Receiver responded with HTTP ${res.status}`);
+    err.result = result;
+    throw err;
+  }
+  return result;
+};
+
+/** One attempt for `delivery`; records it and schedules the retry if needed. */
+export const deliver = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const subscription = await WebhookSubscription.findById(delivery.subscription);
+
+  if (!subscription || !subscription.active) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed', lastError: 'Subscription was disabled or deleted', lockedUntil: null },
+    });
+    return false;
+  }
+
+  try {
+    const result = await post(subscription, delivery);
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: {
+        status: 'delivered',
+        attempts,
+        deliveredAt: new Date(),
+        responseStatus: result.responseStatus,
+        responseBody: result.responseBody,
+        lastError: null,
+        lockedUntil: null,
+      },
+      $push: { history: { responseStatus: result.responseStatus, durationMs: result.durationMs } },
+    });
+    return true;
+  } catch (err) {
+    const giveUp = attempts >= delivery.maxAttempts;
+    const result = err.result || {};
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: {
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        responseStatus: result.responseStatus,
+        responseBody: result.responseBody,
+        lastError: err.message,
+        lockedUntil: null,
+        ...(giveUp ? {} : { nextAttemptAt: new Date(Date.now() + backoffDelay(attempts)) }),
+      },
+      $push: { history: { responseStatus: result.responseStatus, error: err.message, durationMs: result.durationMs } },
+    });
+    console.error(
+      `❌ [Webhook] ${delivery.event} -> ${subscription.url} failed (attempt ${attempts}/${delivery.maxAttempts}${giveUp ? ', giving up' : ''}): ${err.message}`
+    );
+    return false;
+  }
+};
+
+let running = false;
+let timer = null;
+
+export const processDueDeliveries = async ({ limit = 50 } = {}) => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    while (processed < limit) {
+      const delivery = await claimNext();
+      if (!delivery) break;
+      await deliver(delivery);
+      processed += 1;
+    }
+  } catch (err) {
+    console.error('WEBHOOK WORKER ERROR:', err.message);
+  } finally {
+    running = false;
+  }
+  return processed;
+};
+
+export const kickWebhookWorker = () => {
+  if (timer) setImmediate(() => processDueDeliveries());
+};
+
+export const startWebhookWorker = ({ intervalMs = WORKER_INTERVAL_MS } = {}) => {
+  if (timer) return;
+  timer = setInterval(() => processDueDeliveries(), intervalMs);
+  timer.unref();
+  kickWebhookWorker();
+};
+
+export const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
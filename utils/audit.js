@@ -0,0 +1,76 @@
+// utils/audit.js
+// Builds and stores AuditLog entries. Failures are logged, never thrown:
+// an audit hiccup must not fail the admin's actual change.
+import AuditLog from '../models/AuditLog.js';
+
+const IGNORED_FIELDS = new Set(['_id', '__v', 'id', 'createdAt', 'updatedAt']);
+
+const plain = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+const redactFields = (obj, redact = []) => {
+  if (!obj) return obj;
+  for (const field of redact) {
+    if (field in obj) obj[field] = '[redacted]';
+  }
+  return obj;
+};
+
+/** Top-level field diff: { field: { from, to } } */
+export const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return changes;
+};
+
+/** Who is acting in `req` (null req = a script or background job). */
+export const actorFrom = (req) => {
+  if (!req) return { type: 'system' };
+  if (req.user) {
+    return { type: 'user', id: req.user.id, email: req.user.email, role: req.user.role };
+  }
+  if (req.apiKey) {
+    return { type: 'api-key', id: req.apiKey.id, name: req.apiKey.name };
+  }
+  return { type: 'public' };
+};
+
+export const recordAudit = async ({ req, action, entityType, before, after, redact }) => {
+  try {
+    const b = redactFields(plain(before), redact);
+    const a = redactFields(plain(after), redact);
+    const entityId = String((a && a._id) || (b && b._id) || '');
+    if (!entityId) return;
+
+    const changes = diffDocuments(b, a);
+    if (action === 'update' && !Object.keys(changes).length) return;
+
+    await AuditLog.create({
+      action,
+      entityType,
+      entityId,
+      actor: actorFrom(req),
+      ip: req?.ip,
+      method: req?.method,
+      path: req?.originalUrl,
+      changes,
+      // Keep full snapshots only where a diff can't reconstruct the record
+      before: action === 'delete' ? b : undefined,
+      after: action === 'create' ? a : undefined,
+    });
+  } catch (err) {
+    console.error(`⚠️ Audit log failed (${action} ${entityType}):`, err.message);
+  }
+};
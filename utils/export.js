@@ -0,0 +1,129 @@
+// utils/export.js
+// Streams a Mongoose cursor to the response as CSV or JSON, one document at a time,
+// so exports of large collections never sit in memory.
+import { isValidTimeZone } from './zonedTime.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+export class ExportOptionsError extends Error {}
+
+/** Validates ?format= and ?tz= (IANA zone, default UTC). Throws ExportOptionsError. */
+export const parseExportOptions = (query) => {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format))
+    throw new ExportOptionsError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+
+  const timeZone = String(query.tz || 'UTC');
+  if (!isValidTimeZone(timeZone)) throw new ExportOptionsError(`Unknown timezone '${timeZone}'`);
+
+  return { format, timeZone };
+};
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/** ISO 8601 in `timeZone` with its UTC offset, e.g. 2024-03-01T14:30:00+01:00 */
+export const formatDateInZone = (date, timeZone = 'UTC') => {
+  const p = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map((x) => [x.type, x.value]));
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const offset = Math.round((wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+
+  const abs = Math.abs(offset);
+  const suffix = offset === 0
+    ? 'Z'
+    : `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${suffix}`;
+};
+
+const toCell = (value, timeZone) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : formatDateInZone(value, timeZone);
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+};
+
+// Numbers and phone numbers ("-12.5", "+91 98765 43210") are data, not formulas
+const PLAIN_NUMBER = /^[+-]?[\d\s().-]+$/;
+
+/**
+ * RFC 4180 quoting; a leading = + - @ is prefixed with ' so spreadsheets don't run
+ * the value as a formula (except plain numbers and phone numbers)
+ */
+export const escapeCsv = (value) => {
+  let s = String(value);
+  if (/^[=+\-@\t\r]/.test(s) && !PLAIN_NUMBER.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Streams `cursor` to `res`.
+ * columns: [{ header, value: (doc) => any }]; Date values are written in `timeZone`.
+ */
+export const streamExport = async (res, { cursor, columns, format, timeZone, filename }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  // Honour backpressure; a client hanging up mid-wait also releases the loop
+  const write = (chunk) => new Promise((resolve) => {
+    if (res.write(chunk)) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  try {
+    if (format === 'csv') {
+      // BOM so Excel opens the file as UTF-8
+      await write('\uFEFF' + columns.map((c) => escapeCsv(c.header)).join(',') + '\r\n');
+    } else {
+      await write('[');
+    }
+
+    let first = true;
+    for await (const doc of cursor) {
+      if (clientGone) break;
+
+      if (format === 'csv') {
+        await write(columns.map((c) => escapeCsv(toCell(c.value(doc), timeZone))).join(',') + '\r\n');
+      } else {
+        const row = Object.fromEntries(columns.map((c) => {
+          const raw = c.value(doc);
+          return [c.header, Array.isArray(raw) ? raw : raw == null ? null : toCell(raw, timeZone)];
+        }));
+        await write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+      }
+      first = false;
+    }
+
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (err) {
+    // Headers are already out, so the only honest signal left is a broken download
+    console.error(`EXPORT ${filename} ERROR:`, err);
+    res.destroy(err);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
@@ -0,0 +1,17 @@
+// utils/html.js
+
+/** Escape text for safe interpolation into email HTML. */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/** Plain text -> HTML paragraphs, keeping the author's line breaks. */
+export const textToHtml = (text) =>
+  String(text ?? '')
+    .split(/\n{2,}/)
+    .map((para) => `<p>${escapeHtml(para).replace(/\n/g, '<br/>')}</p>`)
+    .join('\n');
@@ -0,0 +1,99 @@
+// utils/ical.js
+// Minimal RFC 5545 (iCalendar) writer: VCALENDAR with VEVENTs, UTC times,
+// escaped text and folded lines.
+
+const PRODID = '-//Nexoracrew//Meetings//EN';
+
+/** Date -> 20240603T093000Z */
+export const icalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** Escape a TEXT value (RFC 5545 3.3.11). */
+export const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Parameter values with : ; , must be quoted; quotes themselves are not allowed
+const paramValue = (value) => {
+  const v = String(value ?? '').replace(/"/g, "'").replace(/[\r\n]/g, ' ');
+  return /[:;,]/.test(v) ? `"${v}"` : v;
+};
+
+/** Fold a content line at 75 octets (continuations start with a space), without splitting a UTF-8 character. */
+export const foldLine = (line) => {
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = out.length ? 74 : 75; // the leading space counts on continuation lines
+    if (size + bytes > limit) {
+      out.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+};
+
+// { name, email } -> ORGANIZER;CN=Name:mailto:email
+const person = (property, { name, email }, params = []) =>
+  `${[property, ...(name ? [`CN=${paramValue(name)}`] : []), ...params].join(';')}:mailto:${email}`;
+
+/**
+ * VEVENT lines.
+ * event: { uid, sequence, start, end, summary, description, location, url, status,
+ *          organizer: { name, email }, attendees: [{ name, email }], updatedAt }
+ */
+const eventLines = (event, { method }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${icalDate(new Date())}`,
+    `DTSTART:${icalDate(event.start)}`,
+    `DTEND:${icalDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${icalDate(event.updatedAt)}`);
+  lines.push(`STATUS:${event.status || (method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED')}`);
+  if (event.organizer?.email) lines.push(person('ORGANIZER', event.organizer));
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    // The requester asked for the meeting, so they have accepted it
+    lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=ACCEPTED']));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete .ics document.
+ * method: 'PUBLISH' (feeds), 'REQUEST' (invites) or 'CANCEL'.
+ * name/refreshMinutes are hints for subscribed calendars.
+ */
+export const buildCalendar = ({ events, method = 'PUBLISH', name, refreshMinutes }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  for (const event of events) lines.push(...eventLines(event, { method }));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
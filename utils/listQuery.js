@@ -0,0 +1,56 @@
+// utils/listQuery.js
+// Shared parsing for admin list endpoints that return { items, page, limit, total }.
+
+export const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** ?page=&limit= -> { page, limit, skip } */
+export const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, parseInt(query.page || '1', 10) || 1);
+  const limit = Math.max(1, Math.min(maxLimit, parseInt(query.limit || String(defaultLimit), 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * ?sort=-date or ?sort=name -> Mongo sort object.
+ * `fields` maps public sort keys to document paths; unknown keys fall back to `fallback`.
+ */
+export const parseSort = (value, fields, fallback) => {
+  const raw = String(value || '').trim();
+  const desc = raw.startsWith('-');
+  const key = desc ? raw.slice(1) : raw;
+  if (!fields[key]) return fallback;
+  return { [fields[key]]: desc ? -1 : 1, _id: desc ? -1 : 1 };
+};
+
+/** Case-insensitive "contains" search across several fields. Returns a $or clause or null. */
+export const searchClause = (search, fields) => {
+  const term = String(search || '').trim();
+  if (!term) return null;
+  const pattern = { $regex: escapeRegex(term), $options: 'i' };
+  return fields.map((f) => ({ [f]: pattern }));
+};
+
+export class InvalidDateError extends Error {}
+
+/**
+ * ?from=&to= -> { $gte, $lte } (or null). Date-only `to` values include the whole day.
+ * Throws InvalidDateError on unparseable input.
+ */
+export const dateRange = (from, to) => {
+  const parse = (value, name) => {
+    if (!value) return null;
+    const d = new Date(String(value));
+    if (Number.isNaN(d.getTime())) throw new InvalidDateError(`Invalid '${name}' date`);
+    return d;
+  };
+
+  const start = parse(from, 'from');
+  const end = parse(to, 'to');
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(String(to))) end.setUTCHours(23, 59, 59, 999);
+
+  if (!start && !end) return null;
+  return {
+    ...(start ? { $gte: start } : {}),
+    ...(end ? { $lte: end } : {}),
+  };
+};
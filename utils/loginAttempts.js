@@ -0,0 +1,74 @@
+// utils/loginAttempts.js
+// Progressive lockout for /login and /verify-otp, tracked per email and per IP.
+import LoginAttempt from '../models/LoginAttempt.js';
+
+export const MAX_FAILURES_BEFORE_LOCK = 5;
+export const FAILURE_WINDOW_MINUTES = 15;
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 60 * 60;
+
+const keysFor = (email, ip) => [
+  email && { key: `email:${String(email).toLowerCase().trim()}`, kind: 'email', value: String(email).toLowerCase().trim() },
+  ip && { key: `ip:${ip}`, kind: 'ip', value: ip },
+].filter(Boolean);
+
+// 1 min, 2 min, 4 min ... capped at an hour
+const lockSeconds = (lockCount) =>
+  Math.min(MAX_LOCK_SECONDS, BASE_LOCK_SECONDS * 2 ** Math.max(0, lockCount - 1));
+
+/**
+ * Is either the email or the IP currently locked?
+ * Returns { locked, retryAfter } with retryAfter in seconds.
+ */
+export const checkLockout = async (email, ip) => {
+  const docs = await LoginAttempt.find({
+    key: { $in: keysFor(email, ip).map((k) => k.key) },
+    lockedUntil: { $gt: new Date() },
+  }).lean();
+
+  if (!docs.length) return { locked: false, retryAfter: 0 };
+
+  const until = Math.max(...docs.map((d) => d.lockedUntil.getTime()));
+  return { locked: true, retryAfter: Math.ceil((until - Date.now()) / 1000) };
+};
+
+/**
+ * Count a failure against the email and IP, locking them when over the limit.
+ * Every step is a single atomic update, so parallel attempts cannot lose counts
+ * or slip past the lock.
+ */
+export const recordFailure = async (email, ip, reason = 'invalid credentials') => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  for (const { key, kind, value } of keysFor(email, ip)) {
+    // Old failures outside the window no longer count
+    await LoginAttempt.updateOne({ key, lastFailureAt: { $lt: windowStart } }, { $set: { failures: 0 } });
+
+    const doc = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, lastFailureReason: reason },
+        $setOnInsert: { kind, value },
+      },
+      { upsert: true, new: true }
+    );
+    if (doc.failures < MAX_FAILURES_BEFORE_LOCK) continue;
+
+    // Only one of several parallel attempts over the limit applies the lock
+    const lockCount = doc.lockCount + 1;
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { key, lockCount: doc.lockCount, failures: { $gte: MAX_FAILURES_BEFORE_LOCK } },
+      {
+        $set: { failures: 0, lockCount, lockedUntil: new Date(now.getTime() + lockSeconds(lockCount) * 1000) },
+      },
+      { new: true }
+    );
+    if (locked) console.warn(`🔒 Login locked for ${key} until ${locked.lockedUntil.toISOString()}`);
+  }
+};
+
+/** Successful login: reset the counters for this email and IP. */
+export const clearFailures = (email, ip) =>
+  LoginAttempt.deleteMany({ key: { $in: keysFor(email, ip).map((k) => k.key) } });
@@ -0,0 +1,24 @@
+// utils/phone.js
+
+// Format phone number for Twilio (E.164 format). Bare 10-digit numbers are
+// assumed to be Indian mobiles.
+export const formatPhoneNumber = (number) => {
+  if (!number) return '';
+  const cleaned = String(number).replace(/\D/g, '');
+  if (cleaned.length === 10) return `+91${cleaned}`;
+  if (cleaned.length === 12 && cleaned.startsWith('91')) return `+${cleaned}`;
+  return `+${cleaned}`;
+};
+
+// "+91******3210" — enough for the user to recognise their own number
+export const maskPhone = (phone) => {
+  const p = String(phone || '');
+  return p.length > 4 ? `${p.slice(0, 3)}${'*'.repeat(Math.max(0, p.length - 7))}${p.slice(-4)}` : p;
+};
+
+// "ad***@example.com"
+export const maskEmail = (email) => {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return email;
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(1, local.length - 2))}@${domain}`;
+};
@@ -0,0 +1,12 @@
+// utils/requestContext.js
+// Makes the current request reachable from code that doesn't receive `req`
+// (e.g. Mongoose hooks writing the audit log).
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// Mount after the body parsers so the context survives into the route handlers
+export const requestContext = (req, _res, next) => storage.run({ req }, next);
+
+/** The request being handled, or null outside of one (scripts, timers). */
+export const getCurrentRequest = () => storage.getStore()?.req || null;
@@ -0,0 +1,107 @@
+// utils/sessions.js
+// Access/refresh token issuing shared by every login method.
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { resolveRole } from '../config/roles.js';
+import { generateToken, hashToken } from './tokens.js';
+
+export const ACCESS_TOKEN_TTL = '15m';
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_DAYS = 30;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      user: {
+        id: String(user._id || user.id),
+        email: user.email,
+        role: resolveRole(user.role),
+        sid: String(sessionId),
+      },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const tokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+});
+
+/** Start a new session for `user` on the device making `req`. */
+export const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    expiresAt: refreshExpiry(),
+  });
+  return tokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Swap a refresh token for a new access + refresh token pair.
+ * The swap is a single conditional update, so of two requests racing with the
+ * same token only one wins; the other counts as a replay. Replaying an
+ * already-rotated token revokes the whole session.
+ * Returns null when the token cannot be used.
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const next = generateToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousRefreshTokenHash: hash,
+        refreshTokenHash: hashToken(next),
+        lastSeenAt: now,
+        expiresAt: refreshExpiry(),
+        ip: req.ip,
+        ...(req.get('user-agent') ? { userAgent: req.get('user-agent') } : {}),
+      },
+    },
+    { new: true }
+  ).populate('user');
+
+  if (!session) {
+    const replayed = await Session.findOne({ previousRefreshTokenHash: hash, revokedAt: null });
+    if (replayed) {
+      await revokeSession(replayed, 'refresh token reuse');
+      console.warn(`⚠️ Refresh token reuse detected, session ${replayed._id} revoked`);
+    }
+    return null;
+  }
+
+  if (!session.user) {
+    await revokeSession(session, 'user deleted');
+    return null;
+  }
+
+  return tokenResponse(session.user, session, next);
+};
+
+export const revokeSession = async (session, reason = 'logout') => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+/** Revoke every active session of a user, optionally keeping one. */
+export const revokeUserSessions = (userId, { except, reason = 'revoked' } = {}) =>
+  Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(except ? { _id: { $ne: except } } : {}),
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
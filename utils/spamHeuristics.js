@@ -0,0 +1,58 @@
+// utils/spamHeuristics.js
+// Cheap content checks for public form submissions. A flagged submission is
+// still stored (in the spam folder) but triggers no notifications.
+//
+// Extend the defaults with comma-separated env lists:
+//   SPAM_BLOCKED_WORDS, SPAM_DISPOSABLE_DOMAINS, SPAM_MAX_LINKS
+import { escapeRegex } from './listQuery.js';
+
+const DEFAULT_BLOCKED_WORDS = [
+  'viagra', 'cialis', 'casino', 'crypto giveaway', 'bitcoin doubler',
+  'seo services', 'backlinks', 'guest post', 'loan offer', 'porn',
+];
+
+const DEFAULT_DISPOSABLE_DOMAINS = [
+  'mailinator.com', '10minutemail.com', 'guerrillamail.com', 'tempmail.com',
+  'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com',
+  'sharklasers.com', 'dispostable.com', 'maildrop.cc', 'throwawaymail.com',
+];
+
+const envList = (name) =>
+  String(process.env[name] || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+const LINK_PATTERN = /(https?:\/\/|www\.)[^\s]+|\[url=/gi;
+
+// A single word only matches as a whole word ("cialis" is not in "specialist");
+// a phrase such as "crypto giveaway" matches anywhere in the text.
+const containsBlocked = (body, word) =>
+  (/\s/.test(word) ? body.includes(word) : new RegExp(`\\b${escapeRegex(word)}\\b`).test(body));
+
+export const countLinks = (text) => (String(text || '').match(LINK_PATTERN) || []).length;
+
+/**
+ * checkSubmission({ email, text }) -> { flagged, reasons }
+ * `text` is everything the visitor typed, joined.
+ */
+export const checkSubmission = ({ email, text }) => {
+  const reasons = [];
+  const body = String(text || '').toLowerCase();
+
+  const maxLinks = Number(process.env.SPAM_MAX_LINKS ?? 2);
+  const links = countLinks(body);
+  if (links > maxLinks) reasons.push(`${links} links (max ${maxLinks})`);
+
+  const blocked = [...DEFAULT_BLOCKED_WORDS, ...envList('SPAM_BLOCKED_WORDS')]
+    .filter((word) => containsBlocked(body, word));
+  if (blocked.length) reasons.push(`blocked words: ${blocked.join(', ')}`);
+
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  const disposable = [...DEFAULT_DISPOSABLE_DOMAINS, ...envList('SPAM_DISPOSABLE_DOMAINS')];
+  if (domain && disposable.some((d) => domain === d || domain.endsWith(`.${d}`))) {
+    reasons.push(`disposable email domain: ${domain}`);
+  }
+
+  return { flagged: reasons.length > 0, reasons };
+};
@@ -0,0 +1,10 @@
+// utils/tokens.js
+// Opaque random tokens that are emailed/handed out once and only stored hashed.
+import crypto from 'crypto';
+
+/** Random URL-safe token (hex) to hand to the client. */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/** SHA-256 of a token — this is what goes into the database. */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
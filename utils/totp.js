@@ -0,0 +1,88 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (the codes authenticator apps show).
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/** New random shared secret, base32 encoded (160 bits as RFC 4226 recommends). */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/** RFC 4226 HOTP value for a given counter. */
+export const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+export const totp = (secret, now = Date.now()) => hotp(secret, currentStep(now));
+
+/**
+ * Check `code` against the steps around `now` (±window to allow clock drift).
+ * Returns the matching time step, or null. Callers store the step to refuse replays.
+ */
+export const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i += 1) {
+    const expected = hotp(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step + i;
+  }
+  return null;
+};
+
+/** otpauth:// URI understood by Google Authenticator, 1Password, Authy, ... */
+export const otpauthUri = (secret, account, issuer = 'NEXORA Admin') => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
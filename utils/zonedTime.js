@@ -0,0 +1,85 @@
+// utils/zonedTime.js
+// Wall-clock <-> instant conversions for an IANA time zone, using Intl only.
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** { date: 'YYYY-MM-DD', time: 'HH:mm', minutes (since local midnight), weekday (0 = Sunday) } of `instant` in `timeZone` */
+export const zonedParts = (instant, timeZone) => {
+  const p = Object.fromEntries(formatterFor(timeZone).formatToParts(instant).map((x) => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`,
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+    weekday: WEEKDAYS.indexOf(p.weekday),
+    second: Number(p.second),
+  };
+};
+
+/** Minutes `timeZone` is ahead of UTC at `instant` (e.g. 330 for Asia/Kolkata). */
+export const zoneOffsetMinutes = (instant, timeZone) => {
+  const p = zonedParts(instant, timeZone);
+  const [y, m, d] = p.date.split('-').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, Math.floor(p.minutes / 60), p.minutes % 60, p.second);
+  return Math.round((wallClock - (instant.getTime() - instant.getUTCMilliseconds())) / 60000);
+};
+
+/**
+ * The instant at which it is `date` ('YYYY-MM-DD') `time` ('HH:mm') in `timeZone`.
+ * Wall-clock times skipped by a DST change resolve to the hour after (02:30 -> 03:30).
+ */
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const [y, m, d] = String(date).split('-').map(Number);
+  const [h, mi] = String(time).split(':').map(Number);
+  const guess = Date.UTC(y, m - 1, d, h, mi);
+
+  let instant = new Date(guess - zoneOffsetMinutes(new Date(guess), timeZone) * 60000);
+  // Second pass for instants on the other side of a DST change
+  instant = new Date(guess - zoneOffsetMinutes(instant, timeZone) * 60000);
+
+  const parts = zonedParts(instant, timeZone);
+  if (parts.date === date && parts.time === time) return instant;
+  // The wall time does not exist (a DST gap): read it with the offset from before
+  // the change, which lands the same distance past the gap as the time was into it
+  const offsetBefore = zoneOffsetMinutes(new Date(guess - 24 * 60 * 60000), timeZone);
+  return new Date(guess - offsetBefore * 60000);
+};
+
+/** 'YYYY-MM-DD' + n days */
+export const addDays = (date, n) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/** 'HH:mm' -> minutes since midnight */
+export const clockToMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+/** minutes since midnight -> 'HH:mm' */
+export const minutesToClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;